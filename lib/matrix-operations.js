@@ -1,54 +1,245 @@
 /**
  * 分数类 - 用于表示和处理有理数
+ *
+ * 分子、分母在安全整数范围（±2^53）内时以 Number 存储以保证速度，
+ * 超出范围时自动提升为 BigInt，因此任意规模的运算都保持精确。
  */
 class Fraction {
     /**
      * 构造函数
-     * @param {number|string} numerator - 分子或分数表达式
-     * @param {number} denominator - 分母（可选，如果numerator是字符串则忽略）
+     * @param {number|bigint|string} numerator - 分子或分数表达式（字符串格式见 Fraction.parseParts）
+     * @param {number|bigint} denominator - 分母（可选，如果numerator是字符串则忽略）
      */
     constructor(numerator, denominator) {
         if (typeof numerator === 'string') {
             // 从字符串解析分数
-            const match = numerator.match(/^(-?\d+)\/(\d+)$/);
-            if (match) {
-                numerator = parseInt(match[1]);
-                denominator = parseInt(match[2]);
-            } else {
-                // 整数
-                numerator = parseInt(numerator);
-                denominator = 1;
-            }
+            ({ numerator, denominator } = Fraction.parseParts(numerator));
         } else if (denominator === undefined) {
             // 单个数字
             denominator = 1;
         }
-        
+
+        // 非整数的 Number 先按其十进制表示转换为精确分数
+        if (typeof numerator === 'number' && !Number.isInteger(numerator)) {
+            const exact = Fraction.fromDecimalNumber(numerator);
+            numerator = exact.numerator;
+            denominator = Fraction.multiplyIntegers(exact.denominator, denominator);
+        }
+        if (typeof denominator === 'number' && !Number.isInteger(denominator)) {
+            const exact = Fraction.fromDecimalNumber(denominator);
+            numerator = Fraction.multiplyIntegers(numerator, exact.denominator);
+            denominator = exact.numerator;
+        }
+
+        if (denominator === 0 || denominator === 0n) {
+            throw new Error('分母不能为零');
+        }
+
         // 简化分数
-        const gcd = Fraction.gcd(Math.abs(numerator), Math.abs(denominator));
-        this.numerator = numerator / gcd;
-        this.denominator = denominator / gcd;
-        
+        let num = numerator;
+        let den = denominator;
+        if (!Number.isSafeInteger(num) || !Number.isSafeInteger(den)) {
+            num = BigInt(num);
+            den = BigInt(den);
+        }
+        const gcd = Fraction.gcd(num < 0 ? -num : num, den < 0 ? -den : den);
+        num = num / gcd;
+        den = den / gcd;
+
         // 确保分母为正
-        if (this.denominator < 0) {
-            this.numerator = -this.numerator;
-            this.denominator = -this.denominator;
+        if (den < 0) {
+            num = -num;
+            den = -den;
         }
+
+        this.numerator = Fraction.compact(num);
+        this.denominator = Fraction.compact(den);
     }
-    
+
     /**
      * 计算最大公约数
-     * @param {number} a - 第一个数
-     * @param {number} b - 第二个数
-     * @returns {number} 最大公约数
+     * @param {number|bigint} a - 第一个数
+     * @param {number|bigint} b - 第二个数
+     * @returns {number|bigint} 最大公约数（任一参数为BigInt时返回BigInt）
      */
     static gcd(a, b) {
+        if (typeof a === 'bigint' || typeof b === 'bigint') {
+            a = BigInt(a);
+            b = BigInt(b);
+            if (a < 0n) a = -a;
+            if (b < 0n) b = -b;
+            while (b !== 0n) {
+                const temp = b;
+                b = a % b;
+                a = temp;
+            }
+            return a === 0n ? 1n : a;
+        }
+
+        a = Math.abs(a);
+        b = Math.abs(b);
         while (b !== 0) {
             const temp = b;
             b = a % b;
             a = temp;
         }
-        return a;
+        return a === 0 ? 1 : a;
+    }
+
+    /**
+     * 计算最小公倍数
+     * @param {number|bigint} a - 第一个数
+     * @param {number|bigint} b - 第二个数
+     * @returns {number|bigint} 最小公倍数（非负，任一参数为0时返回0）
+     */
+    static lcm(a, b) {
+        if (a === 0 || b === 0 || a === 0n || b === 0n) {
+            return typeof a === 'bigint' || typeof b === 'bigint' ? 0n : 0;
+        }
+        const gcd = Fraction.gcd(a, b);
+        const quotient = typeof gcd === 'bigint' ? BigInt(a) / gcd : a / gcd;
+        const product = Fraction.multiplyIntegers(quotient, b);
+        return product < 0 ? -product : product;
+    }
+
+    /**
+     * 将安全范围内的BigInt降级为Number
+     * @param {number|bigint} value - 整数
+     * @returns {number|bigint} 紧凑表示
+     */
+    static compact(value) {
+        if (typeof value === 'bigint' &&
+            value <= BigInt(Number.MAX_SAFE_INTEGER) &&
+            value >= BigInt(Number.MIN_SAFE_INTEGER)) {
+            return Number(value);
+        }
+        return value;
+    }
+
+    /**
+     * 整数乘法，结果超出安全整数范围时自动改用BigInt
+     * @param {number|bigint} a - 第一个整数
+     * @param {number|bigint} b - 第二个整数
+     * @returns {number|bigint} 乘积
+     */
+    static multiplyIntegers(a, b) {
+        if (typeof a === 'number' && typeof b === 'number') {
+            const product = a * b;
+            if (Number.isSafeInteger(product)) {
+                return product;
+            }
+        }
+        return BigInt(a) * BigInt(b);
+    }
+
+    /**
+     * 整数加法，结果超出安全整数范围时自动改用BigInt
+     * @param {number|bigint} a - 第一个整数
+     * @param {number|bigint} b - 第二个整数
+     * @returns {number|bigint} 和
+     */
+    static addIntegers(a, b) {
+        if (typeof a === 'number' && typeof b === 'number') {
+            const sum = a + b;
+            if (Number.isSafeInteger(sum)) {
+                return sum;
+            }
+        }
+        return BigInt(a) + BigInt(b);
+    }
+
+    /**
+     * 按十进制表示将有限浮点数转换为精确分数（如 0.1 → 1/10）
+     * @param {number} value - 有限浮点数
+     * @returns {{numerator: bigint, denominator: bigint}} 未约分的分子分母
+     */
+    static fromDecimalNumber(value) {
+        if (!Number.isFinite(value)) {
+            throw new Error(`无法将 ${value} 转换为分数`);
+        }
+        return Fraction.parseDecimal(String(value));
+    }
+
+    /**
+     * 解析分数字符串，支持以下格式：
+     * 整数（+7）、分数（-3/-4）、带分数（-1 1/2）、有限小数（0.25、.5）、
+     * 循环小数（0.(3)、1.2(34)）、科学计数法（2.5e-3），分数的分子分母也可以是小数
+     * @param {string} text - 输入字符串
+     * @returns {{numerator: bigint, denominator: bigint}} 未约分的分子分母
+     * @throws {Error} 格式无法识别时抛出
+     */
+    static parseParts(text) {
+        const input = String(text).trim();
+
+        // 带分数：整数部分与分数部分之间用空格分隔，符号作用于整体
+        const mixed = input.match(/^([+-]?)(\d+)\s+(\d+)\s*\/\s*(\d+)$/);
+        if (mixed) {
+            const whole = BigInt(mixed[2]);
+            const numerator = BigInt(mixed[3]);
+            const denominator = BigInt(mixed[4]);
+            if (denominator === 0n) {
+                throw new Error(`无法解析数字 "${input}"：分母不能为零`);
+            }
+            const magnitude = whole * denominator + numerator;
+            return { numerator: mixed[1] === '-' ? -magnitude : magnitude, denominator };
+        }
+
+        const parts = input.split('/');
+        if (parts.length > 2) {
+            throw new Error(`无法解析数字 "${input}"：包含多个分数线`);
+        }
+        const top = Fraction.parseDecimal(parts[0].trim(), input);
+        if (parts.length === 1) {
+            return top;
+        }
+
+        const bottom = Fraction.parseDecimal(parts[1].trim(), input);
+        if (bottom.numerator === 0n) {
+            throw new Error(`无法解析数字 "${input}"：分母不能为零`);
+        }
+        return {
+            numerator: top.numerator * bottom.denominator,
+            denominator: top.denominator * bottom.numerator
+        };
+    }
+
+    /**
+     * 精确解析十进制数（可带符号、循环节和指数）
+     * @param {string} text - 十进制数字符串
+     * @param {string} source - 完整输入，用于错误提示（可选）
+     * @returns {{numerator: bigint, denominator: bigint}} 未约分的分子分母
+     * @throws {Error} 格式无法识别或指数绝对值超过 1000 时抛出
+     */
+    static parseDecimal(text, source = text) {
+        const match = text.match(/^([+-]?)(\d*)(?:\.(\d*)(?:\((\d+)\))?)?(?:[eE]([+-]?\d+))?$/);
+        if (!match || (!match[2] && !match[3] && !match[4])) {
+            throw new Error(`无法解析数字 "${source}"：请输入整数、小数、分数（如 -3/4）、带分数（如 1 1/2）、循环小数（如 0.(3)）或科学计数法（如 2.5e-3）`);
+        }
+
+        const [, sign, intPart, fracPart = '', repeat = '', exp = '0'] = match;
+        const fixed = BigInt((intPart || '0') + fracPart);
+        let numerator = fixed;
+        let denominator = 10n ** BigInt(fracPart.length);
+
+        // 循环小数：x = (含一个循环节的数字 - 不含循环节的数字) / (10^小数位数 * (10^循环节长度 - 1))
+        if (repeat) {
+            const repeatScale = 10n ** BigInt(repeat.length);
+            numerator = BigInt((intPart || '0') + fracPart + repeat) - fixed;
+            denominator *= repeatScale - 1n;
+        }
+
+        // 限制指数大小，避免 1e999999999 之类的输入构造巨大的整数
+        const exponent = parseInt(exp, 10);
+        if (Math.abs(exponent) > 1000) {
+            throw new Error(`无法解析数字 "${source}"：科学计数法的指数绝对值不能超过 1000`);
+        }
+        if (exponent >= 0) {
+            numerator *= 10n ** BigInt(exponent);
+        } else {
+            denominator *= 10n ** BigInt(-exponent);
+        }
+
+        return { numerator: sign === '-' ? -numerator : numerator, denominator };
     }
 
     /**
@@ -56,7 +247,22 @@ class Fraction {
      * @returns {number} 浮点数表示
      */
     toFloat() {
-        return this.numerator / this.denominator;
+        if (typeof this.numerator === 'number' && typeof this.denominator === 'number') {
+            return this.numerator / this.denominator;
+        }
+
+        // 大整数：先缩放到约17位有效数字再做整数除法，避免 Infinity/Infinity
+        let numerator = BigInt(this.numerator);
+        let denominator = BigInt(this.denominator);
+        const sign = numerator < 0n ? -1 : 1;
+        if (numerator < 0n) numerator = -numerator;
+        const shift = numerator.toString().length - denominator.toString().length - 17;
+        if (shift > 0) {
+            denominator *= 10n ** BigInt(shift);
+        } else {
+            numerator *= 10n ** BigInt(-shift);
+        }
+        return sign * Number(numerator / denominator) * Math.pow(10, shift);
     }
 
     /**
@@ -68,8 +274,11 @@ class Fraction {
         if (!(other instanceof Fraction)) {
             other = new Fraction(other);
         }
-        const numerator = this.numerator * other.denominator + other.numerator * this.denominator;
-        const denominator = this.denominator * other.denominator;
+        const numerator = Fraction.addIntegers(
+            Fraction.multiplyIntegers(this.numerator, other.denominator),
+            Fraction.multiplyIntegers(other.numerator, this.denominator)
+        );
+        const denominator = Fraction.multiplyIntegers(this.denominator, other.denominator);
         return new Fraction(numerator, denominator);
     }
 
@@ -82,8 +291,11 @@ class Fraction {
         if (!(other instanceof Fraction)) {
             other = new Fraction(other);
         }
-        const numerator = this.numerator * other.denominator - other.numerator * this.denominator;
-        const denominator = this.denominator * other.denominator;
+        const numerator = Fraction.addIntegers(
+            Fraction.multiplyIntegers(this.numerator, other.denominator),
+            Fraction.multiplyIntegers(-other.numerator, this.denominator)
+        );
+        const denominator = Fraction.multiplyIntegers(this.denominator, other.denominator);
         return new Fraction(numerator, denominator);
     }
 
@@ -96,8 +308,8 @@ class Fraction {
         if (!(other instanceof Fraction)) {
             other = new Fraction(other);
         }
-        const numerator = this.numerator * other.numerator;
-        const denominator = this.denominator * other.denominator;
+        const numerator = Fraction.multiplyIntegers(this.numerator, other.numerator);
+        const denominator = Fraction.multiplyIntegers(this.denominator, other.denominator);
         return new Fraction(numerator, denominator);
     }
 
@@ -110,11 +322,124 @@ class Fraction {
         if (!(other instanceof Fraction)) {
             other = new Fraction(other);
         }
-        const numerator = this.numerator * other.denominator;
-        const denominator = this.denominator * other.numerator;
+        if (other.numerator === 0) {
+            throw new Error('除数不能为零');
+        }
+        const numerator = Fraction.multiplyIntegers(this.numerator, other.denominator);
+        const denominator = Fraction.multiplyIntegers(this.denominator, other.numerator);
         return new Fraction(numerator, denominator);
     }
 
+    /**
+     * 比较大小
+     * @param {Fraction|number} other - 另一个分数或数字
+     * @returns {number} this < other 返回 -1，相等返回 0，大于返回 1
+     */
+    compareTo(other) {
+        if (!(other instanceof Fraction)) {
+            other = new Fraction(other);
+        }
+        // 分母恒为正，交叉相乘即可比较
+        const left = Fraction.multiplyIntegers(this.numerator, other.denominator);
+        const right = Fraction.multiplyIntegers(other.numerator, this.denominator);
+        if (left < right) return -1;
+        if (left > right) return 1;
+        return 0;
+    }
+
+    /**
+     * 判断是否相等
+     * @param {Fraction|number} other - 另一个分数或数字
+     * @returns {boolean} 是否相等
+     */
+    equals(other) {
+        return this.compareTo(other) === 0;
+    }
+
+    /**
+     * 符号
+     * @returns {number} 负数返回 -1，零返回 0，正数返回 1
+     */
+    sign() {
+        if (this.numerator < 0) return -1;
+        if (this.numerator > 0) return 1;
+        return 0;
+    }
+
+    /**
+     * 相反数
+     * @returns {Fraction} -this
+     */
+    negate() {
+        return new Fraction(-this.numerator, this.denominator);
+    }
+
+    /**
+     * 绝对值
+     * @returns {Fraction} |this|
+     */
+    abs() {
+        return this.sign() < 0 ? this.negate() : this;
+    }
+
+    /**
+     * 倒数
+     * @returns {Fraction} 1/this
+     * @throws {Error} 零没有倒数
+     */
+    reciprocal() {
+        if (this.numerator === 0) {
+            throw new Error('零没有倒数');
+        }
+        return new Fraction(this.denominator, this.numerator);
+    }
+
+    /**
+     * 整数次幂（支持负指数）
+     * @param {number} exponent - 整数指数
+     * @returns {Fraction} this^exponent
+     */
+    pow(exponent) {
+        if (!Number.isInteger(exponent)) {
+            throw new Error('分数的幂指数必须为整数');
+        }
+        if (exponent < 0) {
+            return this.reciprocal().pow(-exponent);
+        }
+        const power = BigInt(exponent);
+        return new Fraction(BigInt(this.numerator) ** power, BigInt(this.denominator) ** power);
+    }
+
+    /**
+     * 向下取整
+     * @returns {Fraction} 不大于this的最大整数
+     */
+    floor() {
+        const numerator = BigInt(this.numerator);
+        const denominator = BigInt(this.denominator);
+        let quotient = numerator / denominator; // BigInt除法向零取整
+        if (numerator % denominator !== 0n && numerator < 0n) {
+            quotient -= 1n;
+        }
+        return new Fraction(quotient);
+    }
+
+    /**
+     * 向上取整
+     * @returns {Fraction} 不小于this的最小整数
+     */
+    ceil() {
+        return this.negate().floor().negate();
+    }
+
+    /**
+     * 四舍五入到整数（与 Math.round 一致，.5 向正无穷方向舍入）
+     * @returns {Fraction} 最接近的整数
+     */
+    round() {
+        return this.add(new Fraction(1, 2)).floor();
+    }
+
     /**
      * 转换为字符串表示
      * @returns {string} 分数的字符串表示
@@ -128,283 +453,2597 @@ class Fraction {
             return `${this.numerator}/${this.denominator}`;
         }
     }
-}
 
-class MatrixOperations {
-    constructor() {
-        this.precision = 10; // 浮点数精度
-        this.useFractions = true; // 默认使用分数输出
-        this.formatType = 'rational'; // 默认输出格式：rational（有理数）或integer（整数）
-    }
-    
     /**
-     * 设置输出格式类型
-     * @param {string} formatType - 输出格式：'integer'（整数）或'rational'（有理数）或'decimal'（小数）或'fraction'（分数）
+     * JSON序列化（BigInt无法直接序列化，转为字符串）
+     * @returns {Object} 可序列化的对象
      */
-    setFormatType(formatType) {
-        // 映射页面使用的格式类型到内部格式类型
-        if (formatType === 'integer') {
-            this.formatType = 'integer';
-        } else if (formatType === 'decimal') {
-            this.formatType = 'rational'; // 使用有理数格式显示小数
-            this.useFractions = false; // 不使用分数输出
-        } else if (formatType === 'fraction') {
-            this.formatType = 'rational'; // 使用有理数格式显示分数
-            this.useFractions = true; // 使用分数输出
-        } else {
-            this.formatType = formatType; // 默认使用传入的格式类型
-        }
+    toJSON() {
+        const serialize = value => typeof value === 'bigint' ? value.toString() : value;
+        return {
+            numerator: serialize(this.numerator),
+            denominator: serialize(this.denominator)
+        };
     }
-    
+}
+
+/**
+ * 二次根式类 - 表示形如 q₁√r₁ + q₂√r₂ + … 的数
+ *
+ * 其中 qᵢ 为有理数（Fraction），rᵢ 为互不相同的无平方因子正整数，
+ * 用于施密特正交化等需要精确开平方的场合，例如 √12 化简为 2√3。
+ */
+class Surd {
     /**
-     * 获取当前输出格式类型
-     * @returns {string} 当前输出格式类型
+     * 构造函数
+     * @param {Fraction|number|string} coefficient - 有理系数（默认为1）
+     * @param {number|bigint} radicand - 被开方数（正整数，默认为1），自动提取平方因子
      */
-    getFormatType() {
-        return this.formatType;
+    constructor(coefficient = 1, radicand = 1) {
+        if (!(coefficient instanceof Fraction)) {
+            coefficient = new Fraction(coefficient);
+        }
+        const { outside, inside } = Surd.extractSquare(radicand);
+        const scaled = coefficient.multiply(new Fraction(outside));
+
+        // 各项按被开方数升序排列，系数为0的项不保留
+        this.terms = scaled.sign() === 0 ? [] : [{ coefficient: scaled, radicand: inside }];
     }
-    
+
     /**
-     * 将数字转换为分数
-     * @param {number} num - 输入数字
-     * @returns {Fraction} 分数对象
+     * 计算有理数的平方根，√(p/q) 化为 √(pq)/q
+     * @param {Fraction|number|string} value - 非负有理数
+     * @returns {Surd} 平方根
      */
-    toFraction(num) {
-        if (num instanceof Fraction) {
-            return num;
+    static sqrt(value) {
+        if (!(value instanceof Fraction)) {
+            value = new Fraction(value);
         }
-        
-        // 将浮点数转换为分数
-        if (typeof num === 'number') {
-            const decimalPlaces = 10;
-            const denominator = Math.pow(10, decimalPlaces);
-            const numerator = Math.round(num * denominator);
-            return new Fraction(numerator, denominator);
-        } else {
-            // 字符串或其他类型
-            return new Fraction(num);
+        if (value.sign() < 0) {
+            throw new Error('负数不能开平方');
         }
+        if (value.sign() === 0) {
+            return new Surd(0);
+        }
+        return new Surd(new Fraction(1, value.denominator),
+            Fraction.multiplyIntegers(value.numerator, value.denominator));
     }
-    
+
     /**
-     * 格式化数字输出
-     * @param {number|Fraction} num - 输入数字或分数
-     * @param {string} formatType - 输出格式类型
-     * @returns {string} 格式化后的字符串
+     * 提取正整数的平方因子：n = outside² × inside，inside 无平方因子；
+     * 先试除 1000 以内的小素数，剩余部分用 Pollard ρ 分解
+     * @param {number|bigint} n - 正整数
+     * @returns {{outside: number|bigint, inside: number|bigint}} 根号外与根号内的部分
+     * @throws {Error} 剩余部分过大、无法在限定步数内分解时抛出
      */
-    formatNumber(num, formatType) {
-        if (formatType === 'integer') {
-            return Math.round(num).toString();
-        } else if (formatType === 'rational') {
-            if (this.useFractions && !(num instanceof Fraction)) {
-                num = this.toFraction(num);
+    static extractSquare(n) {
+        let rest = BigInt(n);
+        if (rest <= 0n) {
+            throw new Error('被开方数必须为正整数');
+        }
+
+        let outside = 1n;
+        let inside = 1n;
+        for (let p = 2n; p <= 1000n && p * p <= rest; p++) {
+            let count = 0;
+            while (rest % p === 0n) {
+                rest /= p;
+                count++;
             }
-            
-            if (num instanceof Fraction) {
-                if (num.denominator === 1) {
-                    return num.numerator.toString();
-                } else {
-                    return num.numerator + '/' + num.denominator;
-                }
-            } else {
-                return num.toFixed(this.precision);
+            outside *= p ** BigInt(Math.floor(count / 2));
+            if (count % 2 === 1) {
+                inside *= p;
+            }
+        }
+
+        // 剩余部分的素因子均大于 1000，分解后按指数奇偶分到根号内外
+        const counts = new Map();
+        Surd.collectPrimeFactors(rest, counts);
+        for (const [p, count] of counts) {
+            outside *= p ** BigInt(Math.floor(count / 2));
+            if (count % 2 === 1) {
+                inside *= p;
             }
-        } else {
-            // 默认使用浮点数输出
-            return num.toString();
         }
+
+        return { outside: Fraction.compact(outside), inside: Fraction.compact(inside) };
     }
-    
+
     /**
-     * 四舍五入数字
-     * @param {number} num - 输入数字
-     * @param {number} precision - 小数位数
-     * @returns {number} 四舍五入后的数字
+     * 将整数分解为素因子并累计各素因子的指数
+     * @param {bigint} n - 正整数
+     * @param {Map<bigint, number>} counts - 素因子到指数的映射（原地累加）
      */
-    round(num, precision = this.precision) {
-        const factor = Math.pow(10, precision);
-        return Math.round(num * factor) / factor;
+    static collectPrimeFactors(n, counts) {
+        if (n === 1n) {
+            return;
+        }
+        if (ModInteger.isPrime(n)) {
+            counts.set(n, (counts.get(n) || 0) + 1);
+            return;
+        }
+        const root = Surd.integerSqrt(n);
+        const factor = root * root === n ? root : Surd.findFactor(n);
+        Surd.collectPrimeFactors(factor, counts);
+        Surd.collectPrimeFactors(n / factor, counts);
     }
-    
+
     /**
-     * 将值转换为适当的类型（数字或分数）
-     * @param {string|number} value - 输入值
-     * @returns {number|Fraction} 转换后的值
+     * Pollard ρ（Brent 变体）寻找合数的一个非平凡因子
+     * @param {bigint} n - 合数
+     * @returns {bigint} n 的非平凡因子
+     * @throws {Error} 超过迭代上限仍未找到因子时抛出
      */
-    convertToAppropriateType(value) {
-        if (typeof value === 'string') {
-            // 尝试解析为数字
-            const num = parseFloat(value);
-            if (!isNaN(num)) {
-                if (this.useFractions) {
-                    return this.toFraction(num);
-                } else {
-                    return num;
+    static findFactor(n) {
+        const limit = 100000;
+        let steps = 0;
+        for (let c = 1n; ; c++) {
+            let y = 2n;
+            let x = y;
+            let power = 1;
+            let factor = 1n;
+            while (factor === 1n) {
+                x = y;
+                for (let i = 0; i < power && factor === 1n; i++) {
+                    y = (y * y + c) % n;
+                    factor = Fraction.gcd(x - y, n);
+                    if (++steps > limit) {
+                        throw new Error(`被开方数 ${n} 过大，无法化简为最简根式，请改用小数模式`);
+                    }
                 }
-            } else {
-                // 尝试解析为分数
-                return new Fraction(value);
+                power *= 2;
             }
-        } else if (typeof value === 'number') {
-            if (this.useFractions) {
-                return this.toFraction(value);
-            } else {
-                return value;
+            if (factor !== n) {
+                return factor;
             }
         }
-        return value;
     }
-    
+
     /**
-     * 复制矩阵
-     * @param {Array<Array<number|Fraction>>} matrix - 输入矩阵
-     * @returns {Array<Array<number|Fraction>>} 复制后的矩阵
+     * 整数平方根（向下取整），牛顿迭代
+     * @param {bigint} n - 非负整数
+     * @returns {bigint} ⌊√n⌋
      */
-    copyMatrix(matrix) {
-        return matrix.map(row => [...row]);
+    static integerSqrt(n) {
+        if (n < 2n) {
+            return n;
+        }
+        // 从不小于 √n 的 2 的幂出发，迭代值单调下降到 ⌊√n⌋
+        let x = 1n << BigInt(Math.ceil(n.toString(2).length / 2));
+        for (;;) {
+            const next = (x + n / x) / 2n;
+            if (next >= x) {
+                return x;
+            }
+            x = next;
+        }
     }
     
     /**
-     * 创建单位矩阵
-     * @param {number} size - 矩阵大小
-     * @returns {Array<Array<number>>} 单位矩阵
+     * 由若干项构造根式，合并被开方数相同的项
+     * @param {Array<{coefficient: Fraction, radicand: number|bigint}>} terms - 项（被开方数须无平方因子）
+     * @returns {Surd} 根式
      */
-    createIdentityMatrix(size) {
-        const matrix = [];
-        for (let i = 0; i < size; i++) {
-            const row = new Array(size).fill(0);
-            row[i] = 1;
-            matrix.push(row);
+    static fromTerms(terms) {
+        const merged = new Map();
+        for (const { coefficient, radicand } of terms) {
+            const key = radicand.toString();
+            const previous = merged.get(key);
+            merged.set(key, {
+                coefficient: previous ? previous.coefficient.add(coefficient) : coefficient,
+                radicand
+            });
         }
-        return matrix;
+
+        const result = new Surd(0);
+        result.terms = [...merged.values()]
+            .filter(term => term.coefficient.sign() !== 0)
+            .sort((a, b) => (a.radicand < b.radicand ? -1 : a.radicand > b.radicand ? 1 : 0));
+        return result;
+    }
+
+    /**
+     * 将数字、分数统一转换为根式
+     * @param {Surd|Fraction|number|string} value - 输入值
+     * @returns {Surd} 根式
+     */
+    static from(value) {
+        return value instanceof Surd ? value : new Surd(value);
+    }
+
+    /**
+     * 判断是否为零
+     * @returns {boolean} 是否为零
+     */
+    isZero() {
+        return this.terms.length === 0;
+    }
+
+    /**
+     * 判断是否为有理数（不含根号项）
+     * @returns {boolean} 是否为有理数
+     */
+    isRational() {
+        return this.terms.length === 0 || (this.terms.length === 1 && this.terms[0].radicand === 1);
+    }
+
+    /**
+     * 转换为分数（仅限有理数）
+     * @returns {Fraction} 分数
+     */
+    toFraction() {
+        if (!this.isRational()) {
+            throw new Error(`${this} 不是有理数`);
+        }
+        return this.terms.length === 0 ? new Fraction(0) : this.terms[0].coefficient;
+    }
+
+    /**
+     * 符号（单项时精确，多项时按浮点值判断）
+     * @returns {number} -1、0 或 1
+     */
+    sign() {
+        if (this.terms.length <= 1) {
+            return this.terms.length === 0 ? 0 : this.terms[0].coefficient.sign();
+        }
+        return Math.sign(this.toFloat());
+    }
+
+    /**
+     * 转换为浮点数
+     * @returns {number} 浮点数表示
+     */
+    toFloat() {
+        return this.terms.reduce((sum, term) =>
+            sum + term.coefficient.toFloat() * Math.sqrt(Number(term.radicand)), 0);
+    }
+
+    /**
+     * 加法
+     * @param {Surd|Fraction|number} other - 另一个根式、分数或数字
+     * @returns {Surd} 结果
+     */
+    add(other) {
+        return Surd.fromTerms([...this.terms, ...Surd.from(other).terms]);
+    }
+
+    /**
+     * 减法
+     * @param {Surd|Fraction|number} other - 另一个根式、分数或数字
+     * @returns {Surd} 结果
+     */
+    subtract(other) {
+        return this.add(Surd.from(other).negate());
+    }
+
+    /**
+     * 相反数
+     * @returns {Surd} -this
+     */
+    negate() {
+        return Surd.fromTerms(this.terms.map(term => ({
+            coefficient: term.coefficient.negate(),
+            radicand: term.radicand
+        })));
+    }
+
+    /**
+     * 乘法：a√r × b√s = ab·g√((r/g)(s/g))，其中 g = gcd(r, s)
+     * @param {Surd|Fraction|number} other - 另一个根式、分数或数字
+     * @returns {Surd} 结果
+     */
+    multiply(other) {
+        const terms = [];
+        for (const a of this.terms) {
+            for (const b of Surd.from(other).terms) {
+                const gcd = Fraction.gcd(a.radicand, b.radicand);
+                const left = typeof gcd === 'bigint' ? BigInt(a.radicand) / gcd : a.radicand / gcd;
+                const right = typeof gcd === 'bigint' ? BigInt(b.radicand) / gcd : b.radicand / gcd;
+                terms.push({
+                    coefficient: a.coefficient.multiply(b.coefficient).multiply(new Fraction(gcd)),
+                    radicand: Fraction.compact(Fraction.multiplyIntegers(left, right))
+                });
+            }
+        }
+        return Surd.fromTerms(terms);
+    }
+
+    /**
+     * 倒数（支持单项根式，以及 a + b√r 形式用共轭有理化）
+     * @returns {Surd} 1/this
+     */
+    reciprocal() {
+        if (this.isZero()) {
+            throw new Error('零没有倒数');
+        }
+
+        if (this.terms.length === 1) {
+            // 1/(q√r) = √r/(qr)
+            const { coefficient, radicand } = this.terms[0];
+            return new Surd(coefficient.multiply(new Fraction(radicand)).reciprocal(), radicand);
+        }
+
+        if (this.terms.length === 2 && this.terms[0].radicand === 1) {
+            // 1/(a + b√r) = (a - b√r)/(a² - b²r)
+            const a = this.terms[0].coefficient;
+            const { coefficient: b, radicand: r } = this.terms[1];
+            const norm = a.multiply(a).subtract(b.multiply(b).multiply(new Fraction(r)));
+            return Surd.fromTerms([
+                { coefficient: a.divide(norm), radicand: 1 },
+                { coefficient: b.negate().divide(norm), radicand: r }
+            ]);
+        }
+
+        throw new Error(`暂不支持对 ${this} 求倒数`);
+    }
+
+    /**
+     * 除法
+     * @param {Surd|Fraction|number} other - 另一个根式、分数或数字
+     * @returns {Surd} 结果
+     */
+    divide(other) {
+        return this.multiply(Surd.from(other).reciprocal());
+    }
+
+    /**
+     * 转换为字符串表示，例如 2√3、√3/3、1 + √2
+     * @returns {string} 根式的字符串表示
+     */
+    toString() {
+        if (this.isZero()) {
+            return '0';
+        }
+        return this.formatTerms((numerator, denominator, radicand) => {
+            const root = radicand === 1 ? '' : `√${radicand}`;
+            const head = root && numerator === '1' ? root : numerator + root;
+            return denominator === '1' ? head : `${head}/${denominator}`;
+        });
+    }
+
+    /**
+     * 转换为LaTeX表示，例如 2\sqrt{3}、\frac{\sqrt{3}}{3}
+     * @returns {string} LaTeX字符串
+     */
+    toLatex() {
+        if (this.isZero()) {
+            return '0';
+        }
+        return this.formatTerms((numerator, denominator, radicand) => {
+            const root = radicand === 1 ? '' : `\\sqrt{${radicand}}`;
+            const head = root && numerator === '1' ? root : numerator + root;
+            return denominator === '1' ? head : `\\frac{${head}}{${denominator}}`;
+        });
+    }
+
+    /**
+     * 按项格式化并用加减号连接
+     * @param {Function} formatTerm - (分子绝对值, 分母, 被开方数) => 单项字符串
+     * @returns {string} 格式化结果
+     */
+    formatTerms(formatTerm) {
+        return this.terms.map((term, index) => {
+            const negative = term.coefficient.sign() < 0;
+            const magnitude = term.coefficient.abs();
+            const text = formatTerm(magnitude.numerator.toString(), magnitude.denominator.toString(), term.radicand);
+            if (index === 0) {
+                return negative ? `-${text}` : text;
+            }
+            return negative ? ` - ${text}` : ` + ${text}`;
+        }).join('');
+    }
+}
+
+/**
+ * 复数类 - 实部与虚部为精确有理数（分数），单位化等场合也可为二次根式
+ */
+class ComplexNumber {
+    /**
+     * 构造函数
+     * @param {Fraction|Surd|number|string} real - 实部，或复数表达式字符串（如 "1+2i"、"3/4 - i"）
+     * @param {Fraction|Surd|number|string} imaginary - 虚部（可选，如果real是复数字符串则忽略）
+     */
+    constructor(real = 0, imaginary = 0) {
+        if (typeof real === 'string' && imaginary === 0) {
+            ({ real, imaginary } = ComplexNumber.parse(real));
+        }
+        this.real = ComplexNumber.toPart(real);
+        this.imaginary = ComplexNumber.toPart(imaginary);
+    }
+
+    /**
+     * 将实部/虚部统一为分数，无法化为有理数的根式保持原样
+     * @param {Fraction|Surd|number|string} value - 输入值
+     * @returns {Fraction|Surd} 规范化的部分
+     */
+    static toPart(value) {
+        if (value instanceof Surd) {
+            return value.isRational() ? value.toFraction() : value;
+        }
+        return value instanceof Fraction ? value : new Fraction(value);
+    }
+
+    /**
+     * 对实部/虚部执行二元运算，任一方为根式时按根式计算
+     * @param {Fraction|Surd} a - 第一个部分
+     * @param {Fraction|Surd} b - 第二个部分
+     * @param {string} method - 运算方法名（add、subtract、multiply、divide）
+     * @returns {Fraction|Surd} 结果
+     */
+    static partOperation(a, b, method) {
+        if (a instanceof Surd || b instanceof Surd) {
+            return ComplexNumber.toPart(Surd.from(a)[method](b));
+        }
+        return a[method](b);
+    }
+
+    /**
+     * 判断字符串是否为复数表达式（含虚数单位 i 或 j）
+     * @param {string} text - 输入字符串
+     * @returns {boolean} 是否含虚数单位
+     */
+    static isComplexString(text) {
+        return /[ij]/i.test(String(text));
+    }
+
+    /**
+     * 解析复数字符串，支持 "1+2i"、"3/4 - i"、"1+(13/4)i"、"-2.5i"、"i"、"(1-i)" 等格式，
+     * 各部分的数字语法与 Fraction 相同
+     * @param {string} text - 输入字符串
+     * @returns {{real: Fraction, imaginary: Fraction}} 实部与虚部
+     * @throws {Error} 格式无法识别时抛出
+     */
+    static parse(text) {
+        const input = String(text).trim();
+        const compact = input.replace(/\s+/g, '').replace(/^\((.*)\)$/, '$1').replace(/j/gi, 'i');
+        if (compact === '') {
+            throw new Error(`无法解析复数 "${input}"`);
+        }
+
+        // 在不属于指数（2.5e-3）或分母（3/-4）的正负号处拆分各项
+        const terms = [];
+        let start = 0;
+        for (let i = 1; i < compact.length; i++) {
+            if ((compact[i] === '+' || compact[i] === '-') && !/[eE\/]/.test(compact[i - 1])) {
+                terms.push(compact.slice(start, i));
+                start = i;
+            }
+        }
+        terms.push(compact.slice(start));
+
+        let real = new Fraction(0);
+        let imaginary = new Fraction(0);
+        for (const term of terms) {
+            try {
+                if (/i$/i.test(term)) {
+                    let coefficient = term.slice(0, -1).replace(/\*$/, '').replace(/^([+-]?)\((.*)\)$/, '$1$2');
+                    if (coefficient === '' || coefficient === '+' || coefficient === '-') {
+                        coefficient += '1';
+                    }
+                    imaginary = imaginary.add(new Fraction(coefficient));
+                } else {
+                    real = real.add(new Fraction(term));
+                }
+            } catch (error) {
+                throw new Error(`无法解析复数 "${input}"：请使用 a+bi 的形式，如 1+2i、3/4 - i`);
+            }
+        }
+
+        return { real, imaginary };
+    }
+
+    /**
+     * 将数字、分数、根式统一转换为复数
+     * @param {ComplexNumber|Fraction|Surd|number|string} value - 输入值
+     * @returns {ComplexNumber} 复数
+     */
+    static from(value) {
+        return value instanceof ComplexNumber ? value : new ComplexNumber(value, 0);
+    }
+
+    /**
+     * 判断是否为零
+     * @returns {boolean} 是否为零
+     */
+    isZero() {
+        return this.real.sign() === 0 && this.imaginary.sign() === 0;
+    }
+
+    /**
+     * 判断是否为实数（虚部为零）
+     * @returns {boolean} 是否为实数
+     */
+    isReal() {
+        return this.imaginary.sign() === 0;
+    }
+
+    /**
+     * 加法
+     * @param {ComplexNumber|Fraction|number} other - 另一个数
+     * @returns {ComplexNumber} 结果
+     */
+    add(other) {
+        other = ComplexNumber.from(other);
+        return new ComplexNumber(
+            ComplexNumber.partOperation(this.real, other.real, 'add'),
+            ComplexNumber.partOperation(this.imaginary, other.imaginary, 'add')
+        );
+    }
+
+    /**
+     * 减法
+     * @param {ComplexNumber|Fraction|number} other - 另一个数
+     * @returns {ComplexNumber} 结果
+     */
+    subtract(other) {
+        return this.add(ComplexNumber.from(other).negate());
+    }
+
+    /**
+     * 乘法：(a+bi)(c+di) = (ac-bd) + (ad+bc)i
+     * @param {ComplexNumber|Fraction|Surd|number} other - 另一个数
+     * @returns {ComplexNumber} 结果
+     */
+    multiply(other) {
+        other = ComplexNumber.from(other);
+        const op = ComplexNumber.partOperation;
+        return new ComplexNumber(
+            op(op(this.real, other.real, 'multiply'), op(this.imaginary, other.imaginary, 'multiply'), 'subtract'),
+            op(op(this.real, other.imaginary, 'multiply'), op(this.imaginary, other.real, 'multiply'), 'add')
+        );
+    }
+
+    /**
+     * 除法：z/w = z·conj(w)/|w|²
+     * @param {ComplexNumber|Fraction|number} other - 另一个数
+     * @returns {ComplexNumber} 结果
+     */
+    divide(other) {
+        other = ComplexNumber.from(other);
+        if (other.isZero()) {
+            throw new Error('除数不能为零');
+        }
+        const numerator = this.multiply(other.conjugate());
+        const denominator = other.normSquared();
+        return new ComplexNumber(
+            ComplexNumber.partOperation(numerator.real, denominator, 'divide'),
+            ComplexNumber.partOperation(numerator.imaginary, denominator, 'divide')
+        );
+    }
+
+    /**
+     * 相反数
+     * @returns {ComplexNumber} -this
+     */
+    negate() {
+        return new ComplexNumber(this.real.negate(), this.imaginary.negate());
+    }
+
+    /**
+     * 共轭复数
+     * @returns {ComplexNumber} a - bi
+     */
+    conjugate() {
+        return new ComplexNumber(this.real, this.imaginary.negate());
+    }
+
+    /**
+     * 模的平方 |z|² = a² + b²
+     * @returns {Fraction|Surd} 非负实数
+     */
+    normSquared() {
+        const op = ComplexNumber.partOperation;
+        return op(op(this.real, this.real, 'multiply'), op(this.imaginary, this.imaginary, 'multiply'), 'add');
+    }
+
+    /**
+     * 倒数
+     * @returns {ComplexNumber} 1/this
+     */
+    reciprocal() {
+        return new ComplexNumber(1).divide(this);
+    }
+
+    /**
+     * 判断是否相等
+     * @param {ComplexNumber|Fraction|number} other - 另一个数
+     * @returns {boolean} 是否相等
+     */
+    equals(other) {
+        return this.subtract(other).isZero();
+    }
+
+    /**
+     * 转换为字符串表示，例如 1+2i、3/4-i、-2i；分数或多项的虚部系数加括号，如 1+(13/4)i
+     * @param {Function} formatPart - 实部/虚部的格式化函数（可选，默认调用 toString）
+     * @returns {string} 复数的字符串表示
+     */
+    toString(formatPart = part => part.toString()) {
+        if (this.isReal()) {
+            return formatPart(this.real);
+        }
+        const negative = this.imaginary.sign() < 0;
+        const magnitude = formatPart(negative ? this.imaginary.negate() : this.imaginary);
+        // 13/4i 易误读为 13/(4i)，故带 "/" 或含多项的系数加括号（LaTeX 的 \frac 不受影响）
+        const grouped = /\/|.[+-]/.test(magnitude) ? `(${magnitude})` : magnitude;
+        const imaginary = (magnitude === '1' ? '' : grouped) + 'i';
+        if (this.real.sign() === 0) {
+            return negative ? `-${imaginary}` : imaginary;
+        }
+        return `${formatPart(this.real)}${negative ? '-' : '+'}${imaginary}`;
+    }
+
+    /**
+     * 转换为LaTeX表示，例如 \frac{1}{2}+\frac{3}{4}i
+     * @returns {string} LaTeX字符串
+     */
+    toLatex() {
+        return this.toString(part => part instanceof Surd
+            ? part.toLatex()
+            : part.toString().replace(/^(-?)(\d+)\/(\d+)$/, '$1\\frac{$2}{$3}'));
+    }
+}
+
+/**
+ * 模整数类 - 表示 Z/pZ 中的元素，p 为素数时即有限域 GF(p) 的元素
+ */
+class ModInteger {
+    /**
+     * 构造函数
+     * @param {number|bigint|string|Fraction} value - 整数或分数（分数 a/b 按 a·b⁻¹ mod p 处理）
+     * @param {number|bigint} modulus - 模数 p（不小于2的整数）
+     */
+    constructor(value, modulus) {
+        const p = BigInt(modulus);
+        if (p < 2n) {
+            throw new Error('模数必须是不小于2的整数');
+        }
+
+        if (!(value instanceof Fraction)) {
+            value = new Fraction(typeof value === 'bigint' ? value : String(value));
+        }
+
+        let residue = ModInteger.reduce(BigInt(value.numerator), p);
+        if (value.denominator !== 1) {
+            residue = ModInteger.reduce(residue * ModInteger.inverseOf(BigInt(value.denominator), p), p);
+        }
+
+        this.modulus = Fraction.compact(p);
+        this.value = Fraction.compact(residue);
+    }
+
+    /**
+     * 取非负余数
+     * @param {bigint} a - 整数
+     * @param {bigint} p - 模数
+     * @returns {bigint} a mod p ∈ [0, p)
+     */
+    static reduce(a, p) {
+        const r = a % p;
+        return r < 0n ? r + p : r;
+    }
+
+    /**
+     * 扩展欧几里得算法求模逆元
+     * @param {bigint} a - 整数
+     * @param {bigint} p - 模数
+     * @returns {bigint} a⁻¹ mod p
+     * @throws {Error} a 与 p 不互素时不存在逆元
+     */
+    static inverseOf(a, p) {
+        let [oldR, r] = [ModInteger.reduce(a, p), p];
+        let [oldS, s] = [1n, 0n];
+        while (r !== 0n) {
+            const q = oldR / r;
+            [oldR, r] = [r, oldR - q * r];
+            [oldS, s] = [s, oldS - q * s];
+        }
+        if (oldR !== 1n) {
+            throw new Error(`${a} 在模 ${p} 下不可逆`);
+        }
+        return ModInteger.reduce(oldS, p);
+    }
+
+    /**
+     * 素性检验（确定性 Miller–Rabin，适用于 3.3×10²⁴ 以内的整数）
+     * @param {number|bigint} n - 待检验的整数
+     * @returns {boolean} 是否为素数
+     */
+    static isPrime(n) {
+        n = BigInt(n);
+        if (n < 2n) return false;
+        const bases = [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n];
+        for (const b of bases) {
+            if (n % b === 0n) return n === b;
+        }
+
+        let d = n - 1n;
+        let s = 0;
+        while (d % 2n === 0n) {
+            d /= 2n;
+            s++;
+        }
+
+        return bases.every(a => {
+            let x = ModInteger.powMod(a, d, n);
+            if (x === 1n || x === n - 1n) return true;
+            for (let i = 1; i < s; i++) {
+                x = x * x % n;
+                if (x === n - 1n) return true;
+            }
+            return false;
+        });
+    }
+
+    /**
+     * 快速幂取模
+     * @param {bigint} base - 底数
+     * @param {bigint} exponent - 非负指数
+     * @param {bigint} p - 模数
+     * @returns {bigint} base^exponent mod p
+     */
+    static powMod(base, exponent, p) {
+        let result = 1n;
+        base = ModInteger.reduce(base, p);
+        while (exponent > 0n) {
+            if (exponent & 1n) result = result * base % p;
+            base = base * base % p;
+            exponent >>= 1n;
+        }
+        return result;
+    }
+
+    /**
+     * 将数字、分数统一转换为同一模数下的模整数
+     * @param {ModInteger|Fraction|number|bigint|string} value - 输入值
+     * @param {number|bigint} modulus - 模数
+     * @returns {ModInteger} 模整数
+     */
+    static from(value, modulus) {
+        if (value instanceof ModInteger) {
+            if (BigInt(value.modulus) !== BigInt(modulus)) {
+                throw new Error(`模数不一致：${value.modulus} 与 ${modulus}`);
+            }
+            return value;
+        }
+        if (typeof value === 'object' && !(value instanceof Fraction)) {
+            throw new Error(`无法将 ${value} 转换为模 ${modulus} 的整数`);
+        }
+        return new ModInteger(value, modulus);
+    }
+
+    /**
+     * 判断是否为零
+     * @returns {boolean} 是否为零
+     */
+    isZero() {
+        return this.value === 0;
+    }
+
+    /**
+     * 加法
+     * @param {ModInteger|Fraction|number} other - 另一个数
+     * @returns {ModInteger} 结果
+     */
+    add(other) {
+        other = ModInteger.from(other, this.modulus);
+        return new ModInteger(BigInt(this.value) + BigInt(other.value), this.modulus);
+    }
+
+    /**
+     * 减法
+     * @param {ModInteger|Fraction|number} other - 另一个数
+     * @returns {ModInteger} 结果
+     */
+    subtract(other) {
+        other = ModInteger.from(other, this.modulus);
+        return new ModInteger(BigInt(this.value) - BigInt(other.value), this.modulus);
+    }
+
+    /**
+     * 乘法
+     * @param {ModInteger|Fraction|number} other - 另一个数
+     * @returns {ModInteger} 结果
+     */
+    multiply(other) {
+        other = ModInteger.from(other, this.modulus);
+        return new ModInteger(BigInt(this.value) * BigInt(other.value), this.modulus);
+    }
+
+    /**
+     * 除法（乘以模逆元）
+     * @param {ModInteger|Fraction|number} other - 另一个数
+     * @returns {ModInteger} 结果
+     */
+    divide(other) {
+        return this.multiply(ModInteger.from(other, this.modulus).reciprocal());
+    }
+
+    /**
+     * 相反数
+     * @returns {ModInteger} -this mod p
+     */
+    negate() {
+        return new ModInteger(-BigInt(this.value), this.modulus);
+    }
+
+    /**
+     * 模逆元
+     * @returns {ModInteger} this⁻¹ mod p
+     */
+    reciprocal() {
+        const p = BigInt(this.modulus);
+        return new ModInteger(ModInteger.inverseOf(BigInt(this.value), p), p);
+    }
+
+    /**
+     * 整数次幂（负指数先求逆元）
+     * @param {number} exponent - 整数指数
+     * @returns {ModInteger} this^exponent mod p
+     */
+    pow(exponent) {
+        if (exponent < 0) {
+            return this.reciprocal().pow(-exponent);
+        }
+        const p = BigInt(this.modulus);
+        return new ModInteger(ModInteger.powMod(BigInt(this.value), BigInt(exponent), p), p);
+    }
+
+    /**
+     * 判断是否相等
+     * @param {ModInteger|Fraction|number} other - 另一个数
+     * @returns {boolean} 是否相等
+     */
+    equals(other) {
+        return this.subtract(other).isZero();
+    }
+
+    /**
+     * 转换为字符串表示（最小非负代表元）
+     * @returns {string} 字符串表示
+     */
+    toString() {
+        return this.value.toString();
+    }
+
+    /**
+     * JSON序列化（BigInt无法直接序列化，转为字符串）
+     * @returns {Object} 可序列化的对象
+     */
+    toJSON() {
+        const serialize = value => typeof value === 'bigint' ? value.toString() : value;
+        return {
+            value: serialize(this.value),
+            modulus: serialize(this.modulus)
+        };
+    }
+}
+
+class MatrixOperations {
+    constructor() {
+        this.precision = 10; // 浮点数精度
+        this.useFractions = true; // 默认使用分数输出
+        this.formatType = 'rational'; // 默认输出格式：rational（有理数）或integer（整数）
+        this.field = { type: 'rational' }; // 运算所在的数域：rational（有理数/复数）或mod（模p整数）
+    }
+    
+    /**
+     * 设置运算所在的数域
+     * @param {Object} field - 数域描述：{ type: 'rational' } 或 { type: 'mod', p: 素数 }
+     */
+    setField(field) {
+        if (!field || field.type === 'rational') {
+            this.field = { type: 'rational' };
+            return;
+        }
+        if (field.type !== 'mod') {
+            throw new Error(`不支持的数域类型：${field.type}`);
+        }
+        
+        const p = typeof field.p === 'string' ? field.p.trim() : field.p;
+        if (!/^\d+$/.test(String(p)) || BigInt(p) < 2n) {
+            throw new Error('模数 p 必须是不小于2的整数');
+        }
+        this.field = { type: 'mod', p: Fraction.compact(BigInt(p)) };
+    }
+    
+    /**
+     * 获取当前数域
+     * @returns {Object} 数域描述
+     */
+    getField() {
+        return this.field;
+    }
+    
+    /**
+     * 当前数域的说明文字，用于步骤描述
+     * @returns {string} 如 "（在 GF(7) 上运算）"，有理数域返回空字符串
+     */
+    describeField() {
+        if (this.field.type !== 'mod') {
+            return '';
+        }
+        return ModInteger.isPrime(this.field.p) ? `（在 GF(${this.field.p}) 上运算）` : `（在 Z/${this.field.p}Z 上运算）`;
+    }
+    
+    /**
+     * 检查当前数域是否支持除法（模数为素数），用于消元、求秩、求逆、解方程等
+     * @throws {Error} 模数不是素数时抛出
+     */
+    assertDivisionField() {
+        if (this.field.type === 'mod' && !ModInteger.isPrime(this.field.p)) {
+            throw new Error(`模数 ${this.field.p} 不是素数，Z/${this.field.p}Z 不是域，无法进行消元与求逆运算`);
+        }
+    }
+    
+    /**
+     * 设置输出格式类型
+     * @param {string} formatType - 输出格式：'integer'（整数）或'rational'（有理数）或'decimal'（小数）或'fraction'（分数）
+     */
+    setFormatType(formatType) {
+        // 映射页面使用的格式类型到内部格式类型
+        if (formatType === 'integer') {
+            this.formatType = 'integer';
+        } else if (formatType === 'decimal') {
+            this.formatType = 'rational'; // 使用有理数格式显示小数
+            this.useFractions = false; // 不使用分数输出
+        } else if (formatType === 'fraction') {
+            this.formatType = 'rational'; // 使用有理数格式显示分数
+            this.useFractions = true; // 使用分数输出
+        } else {
+            this.formatType = formatType; // 默认使用传入的格式类型
+        }
+    }
+    
+    /**
+     * 获取当前输出格式类型
+     * @returns {string} 当前输出格式类型
+     */
+    getFormatType() {
+        return this.formatType;
+    }
+    
+    /**
+     * 将数字转换为分数
+     * @param {number} num - 输入数字
+     * @returns {Fraction} 分数对象
+     */
+    toFraction(num) {
+        if (num instanceof Fraction) {
+            return num;
+        }
+        
+        // 整数直接精确转换，避免乘以10^10后超出安全整数范围
+        if (typeof num === 'number' && Number.isInteger(num)) {
+            return new Fraction(num);
+        }
+        
+        // 将浮点数转换为分数
+        if (typeof num === 'number') {
+            const decimalPlaces = 10;
+            const denominator = Math.pow(10, decimalPlaces);
+            const numerator = Math.round(num * denominator);
+            return new Fraction(numerator, denominator);
+        } else {
+            // 字符串或其他类型
+            return new Fraction(num);
+        }
+    }
+    
+    /**
+     * 格式化数字输出
+     * @param {number|Fraction|Surd|ComplexNumber} num - 输入数字、分数、根式或复数
+     * @param {string} formatType - 输出格式类型
+     * @returns {string} 格式化后的字符串
+     */
+    formatNumber(num, formatType) {
+        if (num instanceof ModInteger) {
+            return num.toString();
+        }
+        
+        if (num instanceof ComplexNumber) {
+            // 复数的实部、虚部分别按当前格式输出
+            return num.toString(part => this.formatNumber(
+                part instanceof Fraction && !this.useFractions ? part.toFloat() : part, formatType));
+        }
+        
+        if (num instanceof Surd) {
+            // 根式在分数模式下保留精确形式，其余情况按浮点数输出
+            if (formatType === 'rational' && this.useFractions) {
+                return num.toString();
+            }
+            num = num.toFloat();
+        }
+        
+        if (formatType === 'integer') {
+            return Math.round(num).toString();
+        } else if (formatType === 'rational') {
+            if (this.useFractions && !(num instanceof Fraction)) {
+                num = this.toFraction(num);
+            } else if (!this.useFractions && num instanceof Fraction) {
+                num = num.toFloat();
+            }
+            
+            if (num instanceof Fraction) {
+                if (num.denominator === 1) {
+                    return num.numerator.toString();
+                } else {
+                    return num.numerator + '/' + num.denominator;
+                }
+            } else {
+                return num.toFixed(this.precision);
+            }
+        } else {
+            // 默认使用浮点数输出
+            return num.toString();
+        }
+    }
+    
+    /**
+     * 四舍五入数字
+     * @param {number|Fraction|Surd|ComplexNumber} num - 输入数字（精确值原样返回）
+     * @param {number} precision - 小数位数
+     * @returns {number|Fraction|Surd|ComplexNumber} 四舍五入后的数字
+     */
+    round(num, precision = this.precision) {
+        if (typeof num !== 'number') {
+            return num; // 分数、根式、复数等本身是精确值，无需舍入
+        }
+        const factor = Math.pow(10, precision);
+        return Math.round(num * factor) / factor;
+    }
+    
+    /**
+     * 将值转换为适当的类型（数字、分数、复数或模p整数）
+     * @param {string|number} value - 输入值，含虚数单位 i 的字符串解析为复数
+     * @returns {number|Fraction|ComplexNumber|ModInteger} 转换后的值
+     */
+    convertToAppropriateType(value) {
+        const exact = this.convertToExactType(value);
+        if (!this.useFractions && exact instanceof Fraction) {
+            return exact.toFloat();
+        }
+        return exact;
+    }
+    
+    /**
+     * 将值转换为精确类型（不受显示格式影响，实数一律转为分数），用于特征值等需要精确判断的计算
+     * @param {string|number} value - 输入值，含虚数单位 i 的字符串解析为复数
+     * @returns {Fraction|ComplexNumber|ModInteger} 转换后的值
+     */
+    convertToExactType(value) {
+        if (this.field.type === 'mod') {
+            return ModInteger.from(value, this.field.p);
+        }
+        
+        if (typeof value === 'string') {
+            // 复数始终保持精确的有理实部、虚部；虚部为0时按实数处理
+            if (ComplexNumber.isComplexString(value)) {
+                const complex = new ComplexNumber(value);
+                if (!complex.isReal()) {
+                    return complex;
+                }
+                value = complex.real.toString();
+            }
+            
+            // 统一按分数语法精确解析（小数、带分数、循环小数等），格式错误时抛出异常
+            return new Fraction(value);
+        } else if (typeof value === 'number') {
+            return this.toFraction(value);
+        }
+        return value;
+    }
+    
+    /**
+     * 将两个运算数提升到同一数域（数字 → 分数 → 根式/复数，或统一为模p整数）
+     * @param {number|Fraction|Surd|ComplexNumber} a - 第一个值
+     * @param {number|Fraction|Surd|ComplexNumber} b - 第二个值
+     * @returns {Array} 类型一致的两个值
+     */
+    promoteValues(a, b) {
+        if (a instanceof ModInteger || b instanceof ModInteger) {
+            const p = a instanceof ModInteger ? a.modulus : b.modulus;
+            return [ModInteger.from(a, p), ModInteger.from(b, p)];
+        }
+        if (a instanceof ComplexNumber || b instanceof ComplexNumber) {
+            return [ComplexNumber.from(a), ComplexNumber.from(b)];
+        }
+        if (a instanceof Surd || b instanceof Surd) {
+            return [Surd.from(a), Surd.from(b)];
+        }
+        return [this.toFraction(a), this.toFraction(b)];
+    }
+    
+    /**
+     * 加法（自动适配数字、分数、根式、复数）
+     * @param {number|Fraction|Surd|ComplexNumber} a - 第一个值
+     * @param {number|Fraction|Surd|ComplexNumber} b - 第二个值
+     * @returns {number|Fraction|Surd|ComplexNumber} a + b
+     */
+    addValues(a, b) {
+        if (typeof a === 'number' && typeof b === 'number') {
+            return a + b;
+        }
+        const [x, y] = this.promoteValues(a, b);
+        return x.add(y);
+    }
+    
+    /**
+     * 减法（自动适配数字、分数、根式、复数）
+     * @param {number|Fraction|Surd|ComplexNumber} a - 第一个值
+     * @param {number|Fraction|Surd|ComplexNumber} b - 第二个值
+     * @returns {number|Fraction|Surd|ComplexNumber} a - b
+     */
+    subtractValues(a, b) {
+        if (typeof a === 'number' && typeof b === 'number') {
+            return a - b;
+        }
+        const [x, y] = this.promoteValues(a, b);
+        return x.subtract(y);
+    }
+    
+    /**
+     * 乘法（自动适配数字、分数、根式、复数）
+     * @param {number|Fraction|Surd|ComplexNumber} a - 第一个值
+     * @param {number|Fraction|Surd|ComplexNumber} b - 第二个值
+     * @returns {number|Fraction|Surd|ComplexNumber} a × b
+     */
+    multiplyValues(a, b) {
+        if (typeof a === 'number' && typeof b === 'number') {
+            return a * b;
+        }
+        const [x, y] = this.promoteValues(a, b);
+        return x.multiply(y);
+    }
+    
+    /**
+     * 除法（自动适配数字、分数、根式、复数）
+     * @param {number|Fraction|Surd|ComplexNumber} a - 被除数
+     * @param {number|Fraction|Surd|ComplexNumber} b - 除数
+     * @returns {number|Fraction|Surd|ComplexNumber} a ÷ b
+     */
+    divideValues(a, b) {
+        if (typeof a === 'number' && typeof b === 'number') {
+            return a / b;
+        }
+        const [x, y] = this.promoteValues(a, b);
+        return x.divide(y);
+    }
+    
+    /**
+     * 相反数（自动适配数字、分数、根式、复数）
+     * @param {number|Fraction|Surd|ComplexNumber} value - 输入值
+     * @returns {number|Fraction|Surd|ComplexNumber} -value
+     */
+    negateValue(value) {
+        return typeof value === 'number' ? -value : value.negate();
+    }
+    
+    /**
+     * 共轭（实数原样返回）
+     * @param {number|Fraction|Surd|ComplexNumber} value - 输入值
+     * @returns {number|Fraction|Surd|ComplexNumber} 共轭值
+     */
+    conjugateValue(value) {
+        return value instanceof ComplexNumber ? value.conjugate() : value;
+    }
+    
+    /**
+     * 矩阵转置
+     * @param {Array<Array<number|Fraction|ComplexNumber>>} matrix - 输入矩阵
+     * @returns {Array<Array<number|Fraction|ComplexNumber>>} 转置矩阵
+     */
+    transpose(matrix) {
+        return matrix[0].map((_, j) => matrix.map(row => row[j]));
+    }
+    
+    /**
+     * 共轭转置（实矩阵即为转置）
+     * @param {Array<Array<number|Fraction|ComplexNumber>>} matrix - 输入矩阵
+     * @returns {Array<Array<number|Fraction|ComplexNumber>>} 共轭转置矩阵 A^H
+     */
+    conjugateTranspose(matrix) {
+        return this.transpose(matrix).map(row => row.map(value => this.conjugateValue(value)));
+    }
+    
+    /**
+     * 复制矩阵
+     * @param {Array<Array<number|Fraction>>} matrix - 输入矩阵
+     * @returns {Array<Array<number|Fraction>>} 复制后的矩阵
+     */
+    copyMatrix(matrix) {
+        return matrix.map(row => [...row]);
+    }
+    
+    /**
+     * 创建单位矩阵
+     * @param {number} size - 矩阵大小
+     * @returns {Array<Array<number>>} 单位矩阵
+     */
+    createIdentityMatrix(size) {
+        const matrix = [];
+        for (let i = 0; i < size; i++) {
+            const row = new Array(size).fill(0);
+            row[i] = 1;
+            matrix.push(row);
+        }
+        return matrix;
+    }
+    
+    /**
+     * 计算特征多项式系数（使用Berkowitz算法，无除法、多项式时间）
+     * @param {Array<Array<number|string>>} matrix - 输入矩阵
+     * @param {Object} options - 选项（可选）
+     * @param {boolean} options.explainMinors - 是否额外列出各阶主子式的展开步骤（仅限6阶以内）
+     * @returns {Object} 包含主子式之和 S0…Sn、特征多项式 det(λI - A) 的系数与LaTeX表示及步骤的对象
+     */
+    calculateCharacteristicPolynomial(matrix, options = {}) {
+        // 输入验证
+        if (!matrix || !Array.isArray(matrix) || matrix.length === 0) {
+            throw new Error('矩阵不能为空');
+        }
+        if (!Array.isArray(matrix[0]) || matrix[0].length === 0) {
+            throw new Error('矩阵不是有效的二维数组');
+        }
+        
+        const n = matrix.length;
+        if (n !== matrix[0].length) {
+            throw new Error('只能计算方阵的特征多项式');
+        }
+        
+        const steps = [];
+        
+        // 将输入矩阵转换为适当的类型
+        const processedMatrix = matrix.map(row => row.map(value => this.convertToAppropriateType(value)));
+        
+        steps.push({
+            matrix: processedMatrix,
+            description: '输入矩阵 A' + this.describeField()
+        });
+        
+        // det(λI - A) = λ^n + c1·λ^(n-1) + … + cn，且 ck = (-1)^k·Sk
+        const polynomial = this.berkowitz(processedMatrix, steps);
+        const coefficients = polynomial.map((c, k) => (k % 2 === 0 ? c : this.negateValue(c)));
+        
+        const currentFormat = this.getFormatType();
+        coefficients.forEach((sum, k) => {
+            steps.push({
+                matrix: null,
+                description: `第 ${k} 阶主子式之和：S${k} = ${this.formatNumber(sum, currentFormat)}`
+            });
+        });
+        
+        // 可选：按定义逐个列出主子式（组合数随阶数指数增长，只对小矩阵开放）
+        if (options.explainMinors) {
+            if (n <= 6) {
+                this.explainPrincipalMinors(processedMatrix, steps);
+            } else {
+                steps.push({
+                    matrix: null,
+                    description: '矩阵超过6阶，主子式数量过多，省略主子式展开步骤'
+                });
+            }
+        }
+        
+        return {
+            coefficients: coefficients.map(coeff => this.formatNumber(coeff, currentFormat)),
+            polynomialCoefficients: polynomial.map(coeff => this.formatNumber(coeff, currentFormat)),
+            polynomialLatex: `$$\\det(\\lambda I - A) = ${this.polynomialToLatex(polynomial, '\\lambda')}$$`,
+            steps
+        };
+    }
+    
+    /**
+     * Berkowitz算法：依次计算前 r 阶顺序主子矩阵的特征多项式，只用加减乘，适用于任意交换环
+     * @param {Array<Array<number|Fraction|ComplexNumber|ModInteger>>} matrix - 已转换的方阵
+     * @param {Array<Object>} steps - 步骤数组（可选），传入时记录每一步的系数向量
+     * @returns {Array} det(λI - A) 的系数，从 λ^n 到常数项
+     */
+    berkowitz(matrix, steps = null) {
+        const n = matrix.length;
+        let vector = [1, this.negateValue(matrix[0][0])];
+        
+        if (steps) {
+            steps.push({
+                matrix: [vector],
+                description: '1 阶顺序主子矩阵的特征多项式系数：[1, -a11]'
+            });
+        }
+        
+        for (let r = 1; r < n; r++) {
+            // 分块：M 为前 r 阶主子矩阵，R 为第 r+1 行左侧部分，C 为第 r+1 列上方部分
+            const M = matrix.slice(0, r).map(row => row.slice(0, r));
+            const R = matrix[r].slice(0, r);
+            let column = matrix.slice(0, r).map(row => row[r]); // M^j·C，从 j = 0 开始
+            
+            // Toeplitz矩阵的第一列：1, -a, -R·C, -R·M·C, …, -R·M^(r-1)·C
+            const toeplitz = [1, this.negateValue(matrix[r][r])];
+            for (let j = 0; j < r; j++) {
+                toeplitz.push(this.negateValue(this.dotProduct(R, column)));
+                column = M.map(row => this.dotProduct(row, column));
+            }
+            
+            // 新系数向量 = 下三角Toeplitz矩阵 × 旧系数向量
+            const next = [];
+            for (let i = 0; i <= r + 1; i++) {
+                let sum = 0;
+                for (let j = 0; j <= Math.min(i, r); j++) {
+                    sum = this.addValues(sum, this.multiplyValues(toeplitz[i - j], vector[j]));
+                }
+                next.push(sum);
+            }
+            vector = next;
+            
+            if (steps) {
+                steps.push({
+                    matrix: [vector],
+                    description: `${r + 1} 阶顺序主子矩阵的特征多项式系数（由 Toeplitz 矩阵乘上一步系数得到）`
+                });
+            }
+        }
+        
+        return vector;
+    }
+    
+    /**
+     * 按定义列出各阶主子式，作为特征多项式系数的解释步骤
+     * @param {Array<Array<number|Fraction|ComplexNumber|ModInteger>>} matrix - 已转换的方阵
+     * @param {Array<Object>} steps - 步骤数组
+     */
+    explainPrincipalMinors(matrix, steps) {
+        const n = matrix.length;
+        const currentFormat = this.getFormatType();
+        const indices = Array.from({ length: n }, (_, i) => i);
+        
+        for (let k = 1; k <= n; k++) {
+            let sum = 0;
+            for (const combo of this.generateCombinations(indices, k)) {
+                const minor = this.extractPrincipalMinor(matrix, combo);
+                const det = this.calculateDeterminant(minor).result;
+                sum = this.addValues(sum, det);
+                steps.push({
+                    matrix: minor,
+                    description: `第 ${combo.map(i => i + 1).join(',')} 行列的 ${k} 阶主子式 = ${this.formatNumber(det, currentFormat)}`
+                });
+            }
+            steps.push({
+                matrix: null,
+                description: `S${k} = 所有 ${k} 阶主子式之和 = ${this.formatNumber(sum, currentFormat)}`
+            });
+        }
+    }
+    
+    /**
+     * 多项式格式化为LaTeX
+     * @param {Array} coefficients - 系数，从最高次到常数项
+     * @param {string} variable - 变量名（LaTeX），默认 x
+     * @returns {string} LaTeX字符串，如 \lambda^{2} - 5\lambda - 2
+     */
+    polynomialToLatex(coefficients, variable = 'x') {
+        const degree = coefficients.length - 1;
+        const terms = [];
+        
+        coefficients.forEach((coeff, index) => {
+            if (this.isZero(coeff)) {
+                return;
+            }
+            const power = degree - index;
+            const monomial = power === 0 ? '' : power === 1 ? variable : `${variable}^{${power}}`;
+            
+            // 实数系数按符号拼接，复数系数整体加括号
+            let latex = this.numberToLatex(coeff);
+            let negative = false;
+            if (coeff instanceof ComplexNumber && !coeff.isReal()) {
+                latex = `(${latex})`;
+            } else if (latex.startsWith('-')) {
+                negative = true;
+                latex = latex.slice(1);
+            }
+            if (monomial && latex === '1') {
+                latex = '';
+            }
+            
+            const body = latex + monomial;
+            if (terms.length === 0) {
+                terms.push(negative ? `-${body}` : body);
+            } else {
+                terms.push(negative ? ` - ${body}` : ` + ${body}`);
+            }
+        });
+        
+        return terms.length === 0 ? '0' : terms.join('');
+    }
+    
+    /**
+     * 计算特征值：先用有理根定理求出全部有理根，余下部分二次因式用根式精确表示，
+     * 更高次因式用 Durand–Kerner 迭代求数值解（含共轭复根）
+     * @param {Array<Array<number|string>>} matrix - 输入矩阵
+     * @returns {Object} 包含特征值（值、代数重数、是否精确）、特征多项式和步骤的对象
+     */
+    calculateEigenvalues(matrix) {
+        // 输入验证
+        if (!matrix || !Array.isArray(matrix) || matrix.length === 0) {
+            throw new Error('矩阵不能为空');
+        }
+        if (!Array.isArray(matrix[0]) || matrix[0].length === 0) {
+            throw new Error('矩阵不是有效的二维数组');
+        }
+        if (matrix.length !== matrix[0].length) {
+            throw new Error('只能计算方阵的特征值');
+        }
+        if (this.field.type === 'mod') {
+            throw new Error('有限域上暂不支持特征值计算');
+        }
+        
+        const steps = [];
+        const processedMatrix = matrix.map(row => row.map(value => this.convertToExactType(value)));
+        
+        steps.push({
+            matrix: processedMatrix,
+            description: '输入矩阵 A'
+        });
+        
+        const polynomial = this.berkowitz(processedMatrix);
+        steps.push({
+            matrix: null,
+            description: `特征多项式 $\\det(\\lambda I - A) = ${this.polynomialToLatex(polynomial, '\\lambda')}$`
+        });
+        
+        const roots = this.findEigenvalues(polynomial, steps);
+        const currentFormat = this.getFormatType();
+        
+        const eigenvalues = roots.map(root => {
+            if (root.exact) {
+                const approx = root.value instanceof ComplexNumber
+                    ? { real: root.value.real.toFloat(), imaginary: root.value.imaginary.toFloat() }
+                    : { real: root.value.toFloat(), imaginary: 0 };
+                return {
+                    value: this.formatNumber(root.value, currentFormat),
+                    latex: this.numberToLatex(root.value),
+                    multiplicity: root.multiplicity,
+                    exact: true,
+                    isReal: !(root.value instanceof ComplexNumber),
+                    approximation: approx
+                };
+            }
+            const text = this.formatApproximateComplex(root.real, root.imaginary);
+            return {
+                value: text,
+                latex: text,
+                multiplicity: root.multiplicity,
+                exact: false,
+                isReal: root.imaginary === 0,
+                approximation: { real: root.real, imaginary: root.imaginary }
+            };
+        });
+        
+        eigenvalues.forEach(eigenvalue => {
+            steps.push({
+                matrix: null,
+                description: `λ = ${eigenvalue.value}，代数重数 ${eigenvalue.multiplicity}${eigenvalue.exact ? '' : '（数值近似）'}`
+            });
+        });
+        
+        return {
+            eigenvalues,
+            allExact: eigenvalues.every(eigenvalue => eigenvalue.exact),
+            characteristicPolynomial: this.polynomialToLatex(polynomial, '\\lambda'),
+            steps
+        };
+    }
+    
+    /**
+     * 求特征多项式的全部根
+     * @param {Array} polynomial - 首一多项式系数（从最高次到常数项）
+     * @param {Array<Object>} steps - 步骤数组
+     * @returns {Array<Object>} 根：精确根为 { value, multiplicity, exact: true }，
+     *                          数值根为 { real, imaginary, multiplicity, exact: false }
+     */
+    findEigenvalues(polynomial, steps) {
+        // 按实部、虚部的近似值排序
+        const approximate = root => {
+            if (!root.exact) return [root.real, root.imaginary];
+            const complex = ComplexNumber.from(root.value);
+            return [complex.real.toFloat(), complex.imaginary.toFloat()];
+        };
+        const sortRoots = roots => roots.sort((a, b) => {
+            const [ar, ai] = approximate(a);
+            const [br, bi] = approximate(b);
+            return ar - br || ai - bi;
+        });
+        
+        // 含非实复数系数或浮点系数时不能用有理根定理
+        const exactField = polynomial.every(c => Number.isInteger(c) ||
+            c instanceof Fraction || (c instanceof ComplexNumber && c.isReal()));
+        if (!exactField) {
+            const gaussian = polynomial.every(c => Number.isInteger(c) || c instanceof Fraction ||
+                (c instanceof ComplexNumber && c.real instanceof Fraction && c.imaginary instanceof Fraction));
+            const { roots, rest } = gaussian
+                ? this.gaussianRationalRoots(polynomial)
+                : { roots: [], rest: polynomial };
+            roots.forEach(root => {
+                steps.push({
+                    matrix: null,
+                    description: `代入检验得到精确根 λ = ${root.value}，重数 ${root.multiplicity}`
+                });
+            });
+            if (this.polynomialDegree(rest) >= 1) {
+                steps.push({
+                    matrix: null,
+                    description: roots.length
+                        ? `商式 $${this.polynomialToLatex(rest, '\\lambda')}$ 没有高斯有理根，使用 Durand–Kerner 迭代求数值根`
+                        : '多项式系数不是有理数，直接使用 Durand–Kerner 迭代求数值根'
+                });
+                const values = rest.map(c => {
+                    const complex = c instanceof ComplexNumber ? c : null;
+                    return complex
+                        ? [complex.real.toFloat(), complex.imaginary.toFloat()]
+                        : [c instanceof Fraction ? c.toFloat() : c, 0];
+                });
+                roots.push(...this.groupNumericRoots(this.durandKerner(values)));
+            }
+            return sortRoots(roots);
+        }
+        
+        const rational = polynomial.map(c => this.toFraction(c instanceof ComplexNumber ? c.real : c));
+        const roots = [];
+        
+        // 无平方分解 p = f1·f2²·f3³…，每个因式的根都是单根，重数即为指数
+        for (const { factor, multiplicity } of this.squareFreeFactorization(rational)) {
+            if (this.polynomialDegree(factor) < 1) {
+                continue;
+            }
+            if (multiplicity > 1) {
+                steps.push({
+                    matrix: null,
+                    description: `无平方分解得到因式 $(${this.polynomialToLatex(factor, '\\lambda')})^{${multiplicity}}$`
+                });
+            }
+            
+            let rest = factor;
+            for (const root of this.rationalRoots(factor)) {
+                roots.push({ value: root, multiplicity, exact: true });
+                rest = this.polynomialDivide(rest, [new Fraction(1), root.negate()]).quotient;
+            }
+            
+            const degree = this.polynomialDegree(rest);
+            if (degree === 2) {
+                // 二次因式用求根公式精确表示
+                roots.push(...this.quadraticRoots(rest).map(value => ({ value, multiplicity, exact: true })));
+            } else if (degree > 2) {
+                steps.push({
+                    matrix: null,
+                    description: `因式 $${this.polynomialToLatex(rest, '\\lambda')}$ 没有有理根，使用 Durand–Kerner 迭代求数值根`
+                });
+                const numeric = this.durandKerner(rest.map(c => [c.toFloat(), 0]));
+                roots.push(...numeric.map(([real, imaginary]) => ({ real, imaginary, multiplicity, exact: false })));
+            }
+        }
+        
+        return sortRoots(roots);
+    }
+    
+    /**
+     * 复有理系数首一多项式的高斯有理根：设各系数实部、虚部分母的最小公倍数为 L，
+     * 则 L·λ 是首一高斯整系数多项式的根，必为高斯整数 a+bi。
+     * 因此把数值根的 L 倍四舍五入得到候选 (a+bi)/L，再精确代入检验并逐次除去
+     * @param {Array<Fraction|ComplexNumber>} polynomial - 首一多项式系数（从最高次到常数项）
+     * @returns {{roots: Array<Object>, rest: Array}} 精确根 { value, multiplicity, exact: true } 与除去这些根后的商式
+     */
+    gaussianRationalRoots(polynomial) {
+        const coefficients = polynomial.map(c => ComplexNumber.from(c instanceof ComplexNumber ? c : this.toFraction(c)));
+        const scale = coefficients.reduce((l, c) => Fraction.lcm(Fraction.lcm(l, c.real.denominator), c.imaginary.denominator), 1);
+        const numeric = this.durandKerner(coefficients.map(c => [c.real.toFloat(), c.imaginary.toFloat()]));
+        const factor = Number(scale);
+        
+        const roots = [];
+        let rest = polynomial;
+        for (const [real, imaginary] of numeric) {
+            const candidate = new ComplexNumber(
+                new Fraction(Math.round(real * factor)).divide(new Fraction(scale)),
+                new Fraction(Math.round(imaginary * factor)).divide(new Fraction(scale))
+            );
+            const value = candidate.isReal() ? candidate.real : candidate;
+            if (roots.some(root => this.isZero(this.subtractValues(root.value, value)))) {
+                continue;
+            }
+            let multiplicity = 0;
+            while (this.polynomialDegree(rest) >= 1 && this.isZero(this.evaluatePolynomial(rest, value))) {
+                rest = this.polynomialDivide(rest, [new Fraction(1), this.negateValue(value)]).quotient;
+                multiplicity++;
+            }
+            if (multiplicity > 0) {
+                roots.push({ value, multiplicity, exact: true });
+            }
+        }
+        return { roots, rest };
+    }
+    
+    /**
+     * 多项式的次数（忽略最高次的零系数）
+     * @param {Array<Fraction>} polynomial - 系数（从最高次到常数项）
+     * @returns {number} 次数，零多项式返回 -1
+     */
+    polynomialDegree(polynomial) {
+        const leading = polynomial.findIndex(c => !this.isZero(c));
+        return leading === -1 ? -1 : polynomial.length - 1 - leading;
+    }
+    
+    /**
+     * 多项式带余除法
+     * @param {Array<Fraction>} dividend - 被除式系数（从最高次到常数项）
+     * @param {Array<Fraction>} divisor - 除式系数（从最高次到常数项）
+     * @returns {{quotient: Array<Fraction>, remainder: Array<Fraction>}} 商与余式
+     */
+    polynomialDivide(dividend, divisor) {
+        const d = divisor.slice(divisor.findIndex(c => !this.isZero(c)));
+        const remainder = dividend.slice(dividend.findIndex(c => !this.isZero(c)));
+        const quotient = [];
+        
+        while (remainder.length >= d.length) {
+            const factor = this.divideValues(remainder[0], d[0]);
+            quotient.push(factor);
+            for (let i = 0; i < d.length; i++) {
+                remainder[i] = this.subtractValues(remainder[i], this.multiplyValues(factor, d[i]));
+            }
+            remainder.shift();
+        }
+        
+        return {
+            quotient: quotient.length ? quotient : [new Fraction(0)],
+            remainder: remainder.length ? remainder : [new Fraction(0)]
+        };
+    }
+    
+    /**
+     * 首一化的多项式最大公因式（欧几里得算法）
+     * @param {Array<Fraction>} a - 第一个多项式
+     * @param {Array<Fraction>} b - 第二个多项式
+     * @returns {Array<Fraction>} 首一最大公因式
+     */
+    polynomialGcd(a, b) {
+        while (this.polynomialDegree(b) >= 0) {
+            [a, b] = [b, this.polynomialDivide(a, b).remainder];
+        }
+        a = a.slice(a.findIndex(c => !this.isZero(c)));
+        return a.map(c => this.divideValues(c, a[0]));
+    }
+    
+    /**
+     * 无平方分解（Yun算法）：p = f1·f2²·f3³…，各 fi 无重根且两两互素
+     * @param {Array<Fraction>} polynomial - 首一多项式
+     * @returns {Array<{factor: Array<Fraction>, multiplicity: number}>} 因式及其重数
+     */
+    squareFreeFactorization(polynomial) {
+        if (this.polynomialDegree(polynomial) < 1) {
+            return [];
+        }
+        
+        const derivative = this.differentiatePolynomial(polynomial);
+        const factors = [];
+        let a = this.polynomialGcd(polynomial, derivative);
+        let b = this.polynomialDivide(polynomial, a).quotient;
+        let c = this.polynomialDivide(derivative, a).quotient;
+        let d = this.subtractPolynomials(c, this.differentiatePolynomial(b));
+        
+        for (let multiplicity = 1; this.polynomialDegree(b) >= 1; multiplicity++) {
+            a = this.polynomialGcd(b, d);
+            factors.push({ factor: a, multiplicity });
+            b = this.polynomialDivide(b, a).quotient;
+            c = this.polynomialDivide(d, a).quotient;
+            d = this.subtractPolynomials(c, this.differentiatePolynomial(b));
+        }
+        
+        return factors;
+    }
+    
+    /**
+     * 多项式求导
+     * @param {Array<Fraction>} polynomial - 系数（从最高次到常数项）
+     * @returns {Array<Fraction>} 导数的系数
+     */
+    differentiatePolynomial(polynomial) {
+        const degree = polynomial.length - 1;
+        if (degree < 1) {
+            return [new Fraction(0)];
+        }
+        return polynomial.slice(0, -1).map((c, i) => this.multiplyValues(c, degree - i));
+    }
+    
+    /**
+     * 多项式减法
+     * @param {Array<Fraction>} a - 被减式
+     * @param {Array<Fraction>} b - 减式
+     * @returns {Array<Fraction>} a - b
+     */
+    subtractPolynomials(a, b) {
+        const length = Math.max(a.length, b.length);
+        const pad = p => [...new Array(length - p.length).fill(new Fraction(0)), ...p];
+        const left = pad(a);
+        const right = pad(b);
+        return left.map((c, i) => this.subtractValues(c, right[i]));
+    }
+    
+    /**
+     * 多项式求值（秦九韶算法）
+     * @param {Array} polynomial - 系数（从最高次到常数项）
+     * @param {*} x - 自变量的值
+     * @returns {*} 多项式的值
+     */
+    evaluatePolynomial(polynomial, x) {
+        return polynomial.reduce((acc, c) => this.addValues(this.multiplyValues(acc, x), c), 0);
+    }
+    
+    /**
+     * 有理根定理：整系数多项式 aₙxⁿ + … + a₀ 的有理根 p/q 满足 p | a₀，q | aₙ
+     * @param {Array<Fraction>} polynomial - 无重根的有理系数多项式
+     * @returns {Array<Fraction>} 全部有理根（升序）
+     */
+    rationalRoots(polynomial) {
+        let p = polynomial.slice(polynomial.findIndex(c => !this.isZero(c)));
+        const roots = [];
+        
+        // 零根
+        if (p.length > 1 && this.isZero(p[p.length - 1])) {
+            roots.push(new Fraction(0));
+            p = p.slice(0, -1);
+        }
+        if (p.length < 2) {
+            return roots;
+        }
+        
+        // 乘以分母的最小公倍数化为整系数
+        const scale = p.reduce((l, c) => Fraction.lcm(l, c.denominator), 1);
+        const integers = p.map(c => c.multiply(new Fraction(scale)).numerator);
+        const leading = integers[0];
+        const constant = integers[integers.length - 1];
+        
+        for (const q of this.divisors(leading)) {
+            for (const d of this.divisors(constant)) {
+                for (const candidate of [new Fraction(d, q), new Fraction(d, q).negate()]) {
+                    if (roots.some(root => root.equals(candidate))) {
+                        continue;
+                    }
+                    if (this.isZero(this.evaluatePolynomial(p, candidate))) {
+                        roots.push(candidate);
+                    }
+                }
+            }
+        }
+        
+        return roots.sort((a, b) => a.compareTo(b));
+    }
+    
+    /**
+     * 正因数（试除法，超过 10¹⁴ 的整数只返回 1 和它本身）
+     * @param {number|bigint} n - 非零整数
+     * @returns {Array<number|bigint>} 正因数
+     */
+    divisors(n) {
+        let value = BigInt(n);
+        if (value < 0n) value = -value;
+        if (value > 100000000000000n) {
+            return [1, Fraction.compact(value)];
+        }
+        
+        const small = [];
+        const large = [];
+        for (let d = 1n; d * d <= value; d++) {
+            if (value % d === 0n) {
+                small.push(Fraction.compact(d));
+                if (d * d !== value) {
+                    large.unshift(Fraction.compact(value / d));
+                }
+            }
+        }
+        return [...small, ...large];
+    }
+    
+    /**
+     * 二次多项式 ax² + bx + c 的两个根（判别式非平方数时用根式或复根式表示）
+     * @param {Array<Fraction>} polynomial - [a, b, c]
+     * @returns {Array<Fraction|Surd|ComplexNumber>} 两个根
+     */
+    quadraticRoots(polynomial) {
+        const [a, b, c] = polynomial.slice(polynomial.findIndex(x => !this.isZero(x)));
+        const discriminant = b.multiply(b).subtract(a.multiply(c).multiply(new Fraction(4)));
+        const center = b.negate().divide(a.multiply(new Fraction(2)));
+        const halfWidth = Surd.sqrt(discriminant.abs()).divide(a.multiply(new Fraction(2)).abs());
+        
+        if (discriminant.sign() < 0) {
+            return [
+                new ComplexNumber(center, halfWidth.negate()),
+                new ComplexNumber(center, halfWidth)
+            ];
+        }
+        return [
+            Surd.from(center).subtract(halfWidth),
+            Surd.from(center).add(halfWidth)
+        ];
+    }
+    
+    /**
+     * Durand–Kerner 迭代同时求多项式的全部复根
+     * @param {Array<Array<number>>} coefficients - 复系数 [实部, 虚部]（从最高次到常数项）
+     * @param {number} maxIterations - 最大迭代次数
+     * @returns {Array<Array<number>>} 根 [实部, 虚部]，按实部升序
+     */
+    durandKerner(coefficients, maxIterations = 1000) {
+        const mul = (a, b) => [a[0] * b[0] - a[1] * b[1], a[0] * b[1] + a[1] * b[0]];
+        const sub = (a, b) => [a[0] - b[0], a[1] - b[1]];
+        const div = (a, b) => {
+            const d = b[0] * b[0] + b[1] * b[1];
+            return [(a[0] * b[0] + a[1] * b[1]) / d, (a[1] * b[0] - a[0] * b[1]) / d];
+        };
+        
+        // 首一化
+        const leading = coefficients[0];
+        const monic = coefficients.map(c => div(c, leading));
+        const degree = monic.length - 1;
+        const evaluate = z => monic.reduce((acc, c) => [mul(acc, z)[0] + c[0], mul(acc, z)[1] + c[1]], [0, 0]);
+        
+        // 初值取在柯西上界半径的圆周上
+        const bound = 1 + Math.max(...monic.slice(1).map(c => Math.hypot(c[0], c[1])));
+        let roots = Array.from({ length: degree }, (_, k) => {
+            const angle = 2 * Math.PI * k / degree + 0.4;
+            return [bound * Math.cos(angle), bound * Math.sin(angle)];
+        });
+        
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            let change = 0;
+            roots = roots.map((z, i) => {
+                let denominator = [1, 0];
+                roots.forEach((w, j) => {
+                    if (i !== j) denominator = mul(denominator, sub(z, w));
+                });
+                const next = sub(z, div(evaluate(z), denominator));
+                change = Math.max(change, Math.hypot(next[0] - z[0], next[1] - z[1]));
+                return next;
+            });
+            if (change < 1e-15 * bound) {
+                break;
+            }
+        }
+        
+        // 消除数值误差造成的微小虚部
+        return roots
+            .map(([re, im]) => [re, Math.abs(im) < 1e-9 * Math.max(1, Math.abs(re)) ? 0 : im])
+            .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    }
+    
+    /**
+     * 合并数值上重合的根，统计重数
+     * @param {Array<Array<number>>} roots - 根 [实部, 虚部]
+     * @returns {Array<Object>} { real, imaginary, multiplicity, exact: false }
+     */
+    groupNumericRoots(roots) {
+        const groups = [];
+        for (const [real, imaginary] of roots) {
+            const group = groups.find(g => Math.hypot(g.real - real, g.imaginary - imaginary) < 1e-6);
+            if (group) {
+                group.multiplicity++;
+            } else {
+                groups.push({ real, imaginary, multiplicity: 1, exact: false });
+            }
+        }
+        return groups;
+    }
+    
+    /**
+     * 数值复数格式化，如 1.4142135624、-0.5+0.8660254038i
+     * @param {number} real - 实部
+     * @param {number} imaginary - 虚部
+     * @returns {string} 格式化后的字符串
+     */
+    formatApproximateComplex(real, imaginary) {
+        const text = value => String(this.round(value));
+        if (imaginary === 0) {
+            return text(real);
+        }
+        const magnitude = Math.abs(imaginary) === 1 ? '' : text(Math.abs(imaginary));
+        if (this.round(real) === 0) {
+            return `${imaginary < 0 ? '-' : ''}${magnitude}i`;
+        }
+        return `${text(real)}${imaginary < 0 ? '-' : '+'}${magnitude}i`;
     }
     
     /**
-     * 计算特征多项式系数（使用主子式法）
+     * 计算特征向量：对每个精确特征值 λ 求 (A - λI)x = 0 的基础解系
      * @param {Array<Array<number|string>>} matrix - 输入矩阵
-     * @returns {Object} 包含特征多项式系数和步骤的对象
+     * @returns {Object} 包含各特征子空间（特征值、代数重数、几何重数、特征向量）和步骤的对象
      */
-    calculateCharacteristicPolynomial(matrix) {
-        // 输入验证
-        if (!matrix || !Array.isArray(matrix) || matrix.length === 0) {
-            throw new Error('矩阵不能为空');
+    calculateEigenvectors(matrix) {
+        const eigenvalueResult = this.calculateEigenvalues(matrix);
+        const steps = [...eigenvalueResult.steps];
+        const processedMatrix = matrix.map(row => row.map(value => this.convertToExactType(value)));
+        const roots = this.findEigenvalues(this.berkowitz(processedMatrix), []);
+        const currentFormat = this.getFormatType();
+        
+        const eigenspaces = this.computeEigenspaces(processedMatrix, roots, steps).map(space => ({
+            eigenvalue: space.exact
+                ? this.formatNumber(space.eigenvalue, currentFormat)
+                : this.formatApproximateComplex(space.real, space.imaginary),
+            eigenvalueLatex: space.exact
+                ? this.numberToLatex(space.eigenvalue)
+                : this.formatApproximateComplex(space.real, space.imaginary),
+            algebraicMultiplicity: space.algebraicMultiplicity,
+            geometricMultiplicity: space.geometricMultiplicity,
+            exact: space.exact,
+            eigenvectors: space.basis.map(vector => vector.map(value => this.formatNumber(value, currentFormat))),
+            eigenvectorsLatex: space.basis.map(vector =>
+                '\\begin{pmatrix}' + vector.map(value => this.numberToLatex(value)).join('\\\\') + '\\end{pmatrix}')
+        }));
+        
+        return {
+            eigenspaces,
+            characteristicPolynomial: eigenvalueResult.characteristicPolynomial,
+            steps
+        };
+    }
+    
+    /**
+     * 求各特征值对应的特征子空间（内部使用，返回未格式化的值）
+     * @param {Array<Array>} matrix - 已转换类型的方阵
+     * @param {Array<Object>} roots - findEigenvalues 返回的特征值
+     * @param {Array<Object>} steps - 步骤数组
+     * @returns {Array<Object>} { eigenvalue, algebraicMultiplicity, geometricMultiplicity, basis, exact }，
+     *                          数值近似的特征值不求特征向量，basis 为空，几何重数为 null
+     */
+    computeEigenspaces(matrix, roots, steps) {
+        const n = matrix.length;
+        
+        return roots.map(root => {
+            if (!root.exact) {
+                steps.push({
+                    matrix: null,
+                    description: `λ ≈ ${this.formatApproximateComplex(root.real, root.imaginary)} 只有数值近似值，不计算其特征向量`
+                });
+                return {
+                    real: root.real,
+                    imaginary: root.imaginary,
+                    algebraicMultiplicity: root.multiplicity,
+                    geometricMultiplicity: null,
+                    basis: [],
+                    exact: false
+                };
+            }
+            
+            const lambda = root.value;
+            const lambdaText = this.formatNumber(lambda, this.getFormatType());
+            const shifted = matrix.map((row, i) => row.map((value, j) =>
+                i === j ? this.subtractValues(value, lambda) : value));
+            steps.push({
+                matrix: shifted,
+                description: `λ = ${lambdaText}：构造矩阵 A - (${lambdaText})I`
+            });
+            
+            const rref = this.reduceToRowEchelon(shifted);
+            steps.push({
+                matrix: rref,
+                description: `化为行最简形，秩为 ${this.calculateRank(rref)}`
+            });
+            
+            const basis = this.nullSpaceBasis(rref);
+            steps.push({
+                matrix: null,
+                description: `几何重数 = ${n} - 秩 = ${basis.length}，代数重数 = ${root.multiplicity}，特征向量：` +
+                    basis.map(vector => '$' + this.vectorToLatex(vector) + '$').join('，')
+            });
+            
+            return {
+                eigenvalue: lambda,
+                algebraicMultiplicity: root.multiplicity,
+                geometricMultiplicity: basis.length,
+                basis,
+                exact: true
+            };
+        });
+    }
+    
+    /**
+     * 矩阵对角化：比较各特征值的代数重数与几何重数，可对角化时求 P、D 使 A = P·D·P⁻¹
+     * @param {Array<Array<number|string>>} matrix - 输入矩阵
+     * @returns {Object} 包含是否可对角化、原因、P、D、P⁻¹、验证结果和步骤的对象
+     */
+    diagonalize(matrix) {
+        const eigenvalueResult = this.calculateEigenvalues(matrix);
+        const steps = [...eigenvalueResult.steps];
+        const processedMatrix = matrix.map(row => row.map(value => this.convertToExactType(value)));
+        const roots = this.findEigenvalues(this.berkowitz(processedMatrix), []);
+        const spaces = this.computeEigenspaces(processedMatrix, roots, steps);
+        const currentFormat = this.getFormatType();
+        const formatMatrix = mat => mat.map(row => row.map(value => this.formatNumber(value, currentFormat)));
+        
+        const notDiagonalizable = (diagonalizable, reason) => {
+            steps.push({ matrix: null, description: reason });
+            return { diagonalizable, reason, P: null, D: null, inverseP: null, verification: null, steps };
+        };
+        
+        // 几何重数小于代数重数的特征值称为亏损特征值
+        const defective = spaces.find(space => space.exact && space.geometricMultiplicity < space.algebraicMultiplicity);
+        if (defective) {
+            const lambda = this.formatNumber(defective.eigenvalue, currentFormat);
+            return notDiagonalizable(false,
+                `特征值 λ = ${lambda} 的代数重数为 ${defective.algebraicMultiplicity}，` +
+                `几何重数仅为 ${defective.geometricMultiplicity}，矩阵不可对角化`);
         }
-        if (!Array.isArray(matrix[0]) || matrix[0].length === 0) {
-            throw new Error('矩阵不是有效的二维数组');
+        if (spaces.some(space => !space.exact)) {
+            // 单重的数值特征值必定不亏损，但无法给出精确的特征向量
+            const simple = spaces.every(space => space.exact || space.algebraicMultiplicity === 1);
+            return notDiagonalizable(simple ? true : null, simple
+                ? '所有特征值的几何重数都等于代数重数，矩阵可对角化，但部分特征值只有数值近似值，无法给出精确的 P 和 D'
+                : '部分重特征值只有数值近似值，无法判断是否可对角化');
+        }
+        
+        // P 的列为各特征子空间的基向量，D 的对角元为对应特征值
+        const n = processedMatrix.length;
+        const columns = [];
+        const diagonal = [];
+        for (const space of spaces) {
+            for (const vector of space.basis) {
+                columns.push(vector);
+                diagonal.push(space.eigenvalue);
+            }
+        }
+        const P = Array.from({ length: n }, (_, i) => columns.map(column => column[i]));
+        const D = Array.from({ length: n }, (_, i) =>
+            Array.from({ length: n }, (_, j) => (i === j ? diagonal[i] : this.convertToExactType(0))));
+        const overComplex = diagonal.some(value => value instanceof ComplexNumber);
+        
+        steps.push({
+            matrix: P,
+            description: '以各特征子空间的基向量为列构成 P'
+        });
+        steps.push({
+            matrix: D,
+            description: `对应特征值构成对角矩阵 D${overComplex ? '（在复数域上对角化）' : ''}`
+        });
+        
+        const inverseP = this.calculateInverse(P).rawInverse;
+        steps.push({
+            matrix: inverseP,
+            description: '求逆矩阵 P⁻¹'
+        });
+        
+        const product = this.multiplyMatrices(this.multiplyMatrices(P, D).rawResult, inverseP).rawResult;
+        const verified = product.every((row, i) => row.every((value, j) =>
+            this.isZero(this.subtractValues(value, processedMatrix[i][j]))));
+        steps.push({
+            matrix: product,
+            description: verified ? '验证：P·D·P⁻¹ = A' : '验证失败：P·D·P⁻¹ ≠ A'
+        });
+        
+        return {
+            diagonalizable: true,
+            reason: `每个特征值的几何重数都等于代数重数，矩阵可对角化${overComplex ? '（在复数域上）' : ''}`,
+            P: formatMatrix(P),
+            D: formatMatrix(D),
+            inverseP: formatMatrix(inverseP),
+            verification: formatMatrix(product),
+            verified,
+            PLatex: this.matrixToLatex(P),
+            DLatex: this.matrixToLatex(D),
+            inversePLatex: this.matrixToLatex(inverseP),
+            verificationLatex: this.matrixToLatex(product),
+            steps
+        };
+    }
+    
+    /**
+     * 齐次方程组 Mx = 0 的基础解系
+     * @param {Array<Array>} rref - 系数矩阵的行最简形
+     * @returns {Array<Array>} 零空间的一组基（精确值）
+     * @throws {Error} 模数不是素数时抛出
+     */
+    nullSpaceBasis(rref) {
+        this.assertDivisionField();
+        // 增广零列后复用基础解系的求法
+        const { basisSolutions } = this.findParticularSolutionAndBasis(rref.map(row => [...row, 0]));
+        return basisSolutions.map(vector => vector.map(value => this.convertToExactType(value)));
+    }
+    
+    /**
+     * 若尔当标准形：由 (A - λI)^k 的秩序列确定若尔当块的个数与大小，
+     * 再自高向低构造若尔当链，求出 J 和可逆矩阵 P 使 P⁻¹AP = J
+     * @param {Array<Array<number|string>>} matrix - 输入矩阵
+     * @returns {Object} 包含 J、P、若尔当块、验证结果和步骤的对象
+     */
+    jordanForm(matrix) {
+        const eigenvalueResult = this.calculateEigenvalues(matrix);
+        const steps = [...eigenvalueResult.steps];
+        const processedMatrix = matrix.map(row => row.map(value => this.convertToExactType(value)));
+        const roots = this.findEigenvalues(this.berkowitz(processedMatrix), []);
+        if (roots.some(root => !root.exact)) {
+            throw new Error('存在只有数值近似值的特征值，无法求出精确的若尔当标准形');
+        }
+        
+        const n = processedMatrix.length;
+        const currentFormat = this.getFormatType();
+        const zero = this.convertToExactType(0);
+        const one = this.convertToExactType(1);
+        const rankOf = vectors => (vectors.length ? this.calculateRank(this.reduceToRowEchelon(vectors)) : 0);
+        const apply = (M, v) => M.map(row => row.reduce((sum, value, j) =>
+            this.addValues(sum, this.multiplyValues(value, v[j])), zero));
+        
+        const columns = [];
+        const blocks = [];
+        
+        for (const root of roots) {
+            const lambda = root.value;
+            const lambdaText = this.formatNumber(lambda, currentFormat);
+            const N = processedMatrix.map((row, i) => row.map((value, j) =>
+                i === j ? this.subtractValues(value, lambda) : value));
+            
+            // 秩序列 r_k = rank((A - λI)^k)，直到降到 n - 代数重数
+            const ranks = [n];
+            const kernels = [[]];
+            let power = N;
+            while (ranks[ranks.length - 1] > n - root.multiplicity) {
+                const rref = this.reduceToRowEchelon(power);
+                ranks.push(this.calculateRank(rref));
+                kernels.push(this.nullSpaceBasis(rref));
+                power = this.multiplyMatrices(power, N).rawResult;
+            }
+            const height = ranks.length - 1;
+            
+            // 大小不小于 k 的块有 r_{k-1} - r_k 个
+            const atLeast = k => (k > height ? 0 : ranks[k - 1] - ranks[k]);
+            const sizes = [];
+            for (let k = height; k >= 1; k--) {
+                for (let count = atLeast(k) - atLeast(k + 1); count > 0; count--) {
+                    sizes.push(k);
+                }
+            }
+            steps.push({
+                matrix: null,
+                description: `λ = ${lambdaText}：秩序列 $` +
+                    ranks.map((r, k) => `r_${k} = ${r}`).join(',\\ ') +
+                    `$，若尔当块大小为 ${sizes.join('、')}`
+            });
+            
+            // 自高向低构造若尔当链：第 k 层在 ker N^{k-1} 与已有链向量之外补充新的链首
+            const chains = [];
+            let level = [];
+            for (let k = height; k >= 1; k--) {
+                const base = [...kernels[k - 1], ...level.map(chain => chain[0])];
+                for (const v of kernels[k]) {
+                    if (rankOf([...base, v]) > rankOf(base)) {
+                        base.push(v);
+                        const chain = [v];
+                        level.push(chain);
+                        chains.push(chain);
+                    }
+                }
+                // 链向下延伸一层：v → Nv
+                level.forEach(chain => chain.unshift(apply(N, chain[0])));
+            }
+            
+            for (const chain of chains) {
+                // 最后一次延伸得到零向量，去掉后按 N^{k-1}v, …, Nv, v 排列
+                const vectors = chain.slice(1);
+                columns.push(...vectors);
+                blocks.push({ eigenvalue: lambda, size: vectors.length });
+                steps.push({
+                    matrix: null,
+                    description: `λ = ${lambdaText} 的若尔当链（长度 ${vectors.length}）：` +
+                        vectors.map(vector => '$' + this.vectorToLatex(vector) + '$').join(' ← ')
+                });
+            }
+        }
+        
+        const P = Array.from({ length: n }, (_, i) => columns.map(column => column[i]));
+        const J = Array.from({ length: n }, () => new Array(n).fill(zero));
+        let offset = 0;
+        for (const block of blocks) {
+            for (let i = 0; i < block.size; i++) {
+                J[offset + i][offset + i] = block.eigenvalue;
+                if (i > 0) {
+                    J[offset + i - 1][offset + i] = one;
+                }
+            }
+            offset += block.size;
+        }
+        
+        steps.push({
+            matrix: P,
+            description: '以各若尔当链为列构成 P'
+        });
+        steps.push({
+            matrix: J,
+            description: '若尔当标准形 J'
+        });
+        
+        const inverseP = this.calculateInverse(P).rawInverse;
+        const product = this.multiplyMatrices(this.multiplyMatrices(inverseP, processedMatrix).rawResult, P).rawResult;
+        const verified = product.every((row, i) => row.every((value, j) =>
+            this.isZero(this.subtractValues(value, J[i][j]))));
+        steps.push({
+            matrix: product,
+            description: verified ? '验证：P⁻¹AP = J' : '验证失败：P⁻¹AP ≠ J'
+        });
+        
+        const formatMatrix = mat => mat.map(row => row.map(value => this.formatNumber(value, currentFormat)));
+        return {
+            J: formatMatrix(J),
+            P: formatMatrix(P),
+            inverseP: formatMatrix(inverseP),
+            JLatex: this.matrixToLatex(J),
+            PLatex: this.matrixToLatex(P),
+            inversePLatex: this.matrixToLatex(inverseP),
+            blocks: blocks.map(block => ({
+                eigenvalue: this.formatNumber(block.eigenvalue, currentFormat),
+                size: block.size
+            })),
+            verified,
+            steps
+        };
+    }
+    
+    /**
+     * 生成所有组合
+     * @param {Array} arr - 输入数组
+     * @param {number} k - 组合大小
+     * @returns {Array<Array>} 所有组合
+     */
+    generateCombinations(arr, k) {
+        const result = [];
+        
+        const backtrack = (start, combo) => {
+            if (combo.length === k) {
+                result.push([...combo]);
+                return;
+            }
+            
+            for (let i = start; i < arr.length; i++) {
+                combo.push(arr[i]);
+                backtrack(i + 1, combo);
+                combo.pop();
+            }
+        };
+        
+        backtrack(0, []);
+        return result;
+    }
+    
+    /**
+     * 提取主子式
+     * @param {Array<Array<number|Fraction>>} matrix - 输入矩阵
+     * @param {Array<number>} indices - 行/列索引
+     * @returns {Array<Array<number|Fraction>>} 主子式
+     */
+    extractPrincipalMinor(matrix, indices) {
+        const minor = [];
+        for (const i of indices) {
+            const row = [];
+            for (const j of indices) {
+                row.push(matrix[i][j]);
+            }
+            minor.push(row);
+        }
+        return minor;
+    }
+    
+    /**
+     * 计算主子式之和
+     * @param {Array<Array<number|Fraction|ComplexNumber>>} matrix - 输入矩阵
+     * @param {number} k - 主子式阶数
+     * @returns {number|Fraction|ComplexNumber} 主子式之和
+     */
+    calculatePrincipalMinorsSum(matrix, k) {
+        if (k === 0) {
+            return 1; // 0阶主子式之和为1
         }
         
         const n = matrix.length;
-        if (n !== matrix[0].length) {
-            throw new Error('只能计算方阵的特征多项式');
+        if (k > n) {
+            return 0; // 阶数超过矩阵大小，和为0
+        }
+        
+        // 生成所有k个行/列的组合
+        const indices = Array.from({ length: n }, (_, i) => i);
+        const combinations = this.generateCombinations(indices, k);
+        
+        // 计算每个主子式的行列式并求和
+        let sum = 0;
+        for (const combo of combinations) {
+            const minor = this.extractPrincipalMinor(matrix, combo);
+            const det = this.calculateDeterminant(minor);
+            sum = this.addValues(sum, det.result);
         }
         
+        return sum;
+    }
+    
+    /**
+     * 整数矩阵的史密斯标准形：求幺模矩阵 U、V 使 UAV = S = diag(d1, d2, …)，且 d1 | d2 | …
+     * 全程只做整数初等变换（交换、乘以 -1、加上另一行/列的整数倍），不做分数除法
+     * @param {Array<Array<number|string>>} matrix - 整数矩阵
+     * @returns {Object} 包含 S、U、V、不变因子、对应的有限生成阿贝尔群和步骤的对象
+     */
+    smithNormalForm(matrix) {
+        const A = this.toIntegerMatrix(matrix);
+        const m = A.length;
+        const n = A[0].length;
+        const U = this.integerIdentity(m);
+        const V = this.integerIdentity(n);
         const steps = [];
-        const coefficients = [];
+        const abs = x => (x < 0n ? -x : x);
+        const record = description => steps.push({ matrix: this.integerMatrixToFractions(A), description });
         
-        // 将输入矩阵转换为适当的类型
-        const processedMatrix = matrix.map(row => row.map(value => this.convertToAppropriateType(value)));
+        // 初等变换同时作用于 U（行变换）或 V（列变换）
+        const swapRows = (i, j) => {
+            [A[i], A[j]] = [A[j], A[i]];
+            [U[i], U[j]] = [U[j], U[i]];
+            record(`交换 R${i+1} 与 R${j+1}`);
+        };
+        const swapColumns = (i, j) => {
+            for (const X of [A, V]) {
+                X.forEach(row => { [row[i], row[j]] = [row[j], row[i]]; });
+            }
+            record(`交换 C${i+1} 与 C${j+1}`);
+        };
+        const addRow = (target, source, k) => {
+            for (const X of [A, U]) {
+                X[target] = X[target].map((value, j) => value + k * X[source][j]);
+            }
+            record(`R${target+1} ← R${target+1} ${this.formatIntegerMultiple(k)}R${source+1}`);
+        };
+        const addColumn = (target, source, k) => {
+            for (const X of [A, V]) {
+                X.forEach(row => { row[target] += k * row[source]; });
+            }
+            record(`C${target+1} ← C${target+1} ${this.formatIntegerMultiple(k)}C${source+1}`);
+        };
+        
+        record('输入整数矩阵 A');
+        
+        for (let t = 0; t < Math.min(m, n); t++) {
+            // 选绝对值最小的非零元作为主元
+            let pivot = null;
+            for (let i = t; i < m; i++) {
+                for (let j = t; j < n; j++) {
+                    if (A[i][j] !== 0n && (!pivot || abs(A[i][j]) < abs(A[pivot[0]][pivot[1]]))) {
+                        pivot = [i, j];
+                    }
+                }
+            }
+            if (!pivot) {
+                break;
+            }
+            if (pivot[0] !== t) swapRows(t, pivot[0]);
+            if (pivot[1] !== t) swapColumns(t, pivot[1]);
+            
+            for (;;) {
+                // 用辗转相除把第 t 列、第 t 行的其余元素消为零
+                let done = true;
+                for (let i = t + 1; i < m; i++) {
+                    if (A[i][t] !== 0n) {
+                        addRow(i, t, -(A[i][t] / A[t][t]));
+                        if (A[i][t] !== 0n) {
+                            swapRows(t, i);
+                            done = false;
+                        }
+                    }
+                }
+                for (let j = t + 1; j < n; j++) {
+                    if (A[t][j] !== 0n) {
+                        addColumn(j, t, -(A[t][j] / A[t][t]));
+                        if (A[t][j] !== 0n) {
+                            swapColumns(t, j);
+                            done = false;
+                        }
+                    }
+                }
+                if (!done) {
+                    continue;
+                }
+                
+                // 主元须整除右下角所有元素，否则把该行加到第 t 行继续
+                const bad = A.findIndex((row, i) => i > t && row.some((value, j) => j > t && value % A[t][t] !== 0n));
+                if (bad === -1) {
+                    break;
+                }
+                addRow(t, bad, 1n);
+            }
+            
+            if (A[t][t] < 0n) {
+                for (const X of [A, U]) {
+                    X[t] = X[t].map(value => -value);
+                }
+                record(`R${t+1} ← -R${t+1}`);
+            }
+        }
+        
+        const diagonal = [];
+        for (let i = 0; i < Math.min(m, n) && A[i][i] !== 0n; i++) {
+            diagonal.push(A[i][i]);
+        }
+        const verified = this.integerMatricesEqual(
+            this.multiplyIntegerMatrices(this.multiplyIntegerMatrices(U, this.toIntegerMatrix(matrix)), V), A);
         
+        // 余核 ℤ^m / Aℤ^n ≅ ℤ/d1 ⊕ … ⊕ ℤ^(m-r)
+        const torsion = diagonal.filter(d => d !== 1n).map(d => `ℤ/${d}`);
+        const free = m - diagonal.length;
+        const summands = [...torsion, ...(free > 0 ? [free === 1 ? 'ℤ' : `ℤ^${free}`] : [])];
+        const abelianGroup = summands.length ? summands.join(' ⊕ ') : '0';
         steps.push({
-            matrix: processedMatrix,
-            description: '输入矩阵 A'
+            matrix: null,
+            description: `不变因子 ${diagonal.join(', ') || '无'}，ℤ^${m} / Aℤ^${n} ≅ ${abelianGroup}`
         });
         
-        // 计算各阶主子式之和
-        for (let k = 0; k <= n; k++) {
-            const sum = this.calculatePrincipalMinorsSum(processedMatrix, k);
-            coefficients.push(sum);
+        const format = X => X.map(row => row.map(value => value.toString()));
+        return {
+            S: format(A),
+            U: format(U),
+            V: format(V),
+            invariantFactors: diagonal.map(value => value.toString()),
+            rank: diagonal.length,
+            abelianGroup,
+            verified,
+            steps
+        };
+    }
+    
+    /**
+     * 整数矩阵的埃尔米特标准形（行形式）：求幺模矩阵 U 使 UA = H，H 为行阶梯形，
+     * 主元为正，主元上方元素满足 0 ≤ h < 主元；只做整数行变换
+     * @param {Array<Array<number|string>>} matrix - 整数矩阵
+     * @returns {Object} 包含 H、U、主元列和步骤的对象
+     */
+    hermiteNormalForm(matrix) {
+        const A = this.toIntegerMatrix(matrix);
+        const m = A.length;
+        const n = A[0].length;
+        const U = this.integerIdentity(m);
+        const steps = [];
+        const abs = x => (x < 0n ? -x : x);
+        const record = description => steps.push({ matrix: this.integerMatrixToFractions(A), description });
+        const swapRows = (i, j) => {
+            [A[i], A[j]] = [A[j], A[i]];
+            [U[i], U[j]] = [U[j], U[i]];
+            record(`交换 R${i+1} 与 R${j+1}`);
+        };
+        const addRow = (target, source, k) => {
+            for (const X of [A, U]) {
+                X[target] = X[target].map((value, j) => value + k * X[source][j]);
+            }
+            record(`R${target+1} ← R${target+1} ${this.formatIntegerMultiple(k)}R${source+1}`);
+        };
+        
+        record('输入整数矩阵 A');
+        
+        const pivotColumns = [];
+        let row = 0;
+        for (let col = 0; col < n && row < m; col++) {
+            // 辗转相除：反复把绝对值最小的非零元换到第 row 行并消去下方元素
+            for (;;) {
+                let best = -1;
+                for (let i = row; i < m; i++) {
+                    if (A[i][col] !== 0n && (best === -1 || abs(A[i][col]) < abs(A[best][col]))) {
+                        best = i;
+                    }
+                }
+                if (best === -1) {
+                    break;
+                }
+                if (best !== row) swapRows(row, best);
+                let cleared = true;
+                for (let i = row + 1; i < m; i++) {
+                    if (A[i][col] !== 0n) {
+                        addRow(i, row, -(A[i][col] / A[row][col]));
+                        cleared = cleared && A[i][col] === 0n;
+                    }
+                }
+                if (cleared) {
+                    break;
+                }
+            }
+            if (A[row][col] === 0n) {
+                continue;
+            }
+            
+            if (A[row][col] < 0n) {
+                for (const X of [A, U]) {
+                    X[row] = X[row].map(value => -value);
+                }
+                record(`R${row+1} ← -R${row+1}`);
+            }
+            
+            // 主元上方元素取模约化到 [0, 主元)
+            const pivot = A[row][col];
+            for (let i = 0; i < row; i++) {
+                let q = A[i][col] / pivot;
+                if (A[i][col] % pivot < 0n) q -= 1n;
+                if (q !== 0n) {
+                    addRow(i, row, -q);
+                }
+            }
             
-            steps.push({
-                matrix: null,
-                description: `计算第 ${k} 阶主子式之和：S${k} = ${sum}`
-            });
+            pivotColumns.push(col);
+            row++;
         }
         
-        // 格式化结果用于显示
-        const formatCoefficients = () => {
-            const currentFormat = this.getFormatType();
-            return coefficients.map(coeff => this.formatNumber(coeff, currentFormat));
-        };
-        
+        const verified = this.integerMatricesEqual(this.multiplyIntegerMatrices(U, this.toIntegerMatrix(matrix)), A);
+        const format = X => X.map(r => r.map(value => value.toString()));
         return {
-            coefficients: formatCoefficients(),
+            H: format(A),
+            U: format(U),
+            pivotColumns,
+            rank: pivotColumns.length,
+            verified,
             steps
         };
     }
     
     /**
-     * 生成所有组合
-     * @param {Array} arr - 输入数组
-     * @param {number} k - 组合大小
-     * @returns {Array<Array>} 所有组合
+     * 把输入转换为 BigInt 整数矩阵，非整数元素报错
+     * @param {Array<Array<number|string>>} matrix - 输入矩阵
+     * @returns {Array<Array<bigint>>} 整数矩阵
      */
-    generateCombinations(arr, k) {
-        const result = [];
+    toIntegerMatrix(matrix) {
+        // 输入验证
+        if (!matrix || !Array.isArray(matrix) || matrix.length === 0) {
+            throw new Error('矩阵不能为空');
+        }
+        if (!Array.isArray(matrix[0]) || matrix[0].length === 0) {
+            throw new Error('矩阵不是有效的二维数组');
+        }
         
-        const backtrack = (start, combo) => {
-            if (combo.length === k) {
-                result.push([...combo]);
-                return;
-            }
-            
-            for (let i = start; i < arr.length; i++) {
-                combo.push(arr[i]);
-                backtrack(i + 1, combo);
-                combo.pop();
+        return matrix.map(row => row.map(value => {
+            const fraction = value instanceof Fraction ? value : new Fraction(typeof value === 'string' ? value.trim() || '0' : value);
+            if (BigInt(fraction.denominator) !== 1n) {
+                throw new Error(`矩阵元素必须是整数："${value}"`);
             }
-        };
-        
-        backtrack(0, []);
-        return result;
+            return BigInt(fraction.numerator);
+        }));
     }
     
     /**
-     * 提取主子式
-     * @param {Array<Array<number|Fraction>>} matrix - 输入矩阵
-     * @param {Array<number>} indices - 行/列索引
-     * @returns {Array<Array<number|Fraction>>} 主子式
+     * BigInt 单位矩阵
+     * @param {number} size - 阶数
+     * @returns {Array<Array<bigint>>} 单位矩阵
      */
-    extractPrincipalMinor(matrix, indices) {
-        const minor = [];
-        for (const i of indices) {
-            const row = [];
-            for (const j of indices) {
-                row.push(matrix[i][j]);
-            }
-            minor.push(row);
-        }
-        return minor;
+    integerIdentity(size) {
+        return Array.from({ length: size }, (_, i) => Array.from({ length: size }, (_, j) => (i === j ? 1n : 0n)));
     }
     
     /**
-     * 计算主子式之和
-     * @param {Array<Array<number|Fraction>>} matrix - 输入矩阵
-     * @param {number} k - 主子式阶数
-     * @returns {number|Fraction} 主子式之和
+     * BigInt 矩阵乘法
+     * @param {Array<Array<bigint>>} X - 第一个矩阵
+     * @param {Array<Array<bigint>>} Y - 第二个矩阵
+     * @returns {Array<Array<bigint>>} XY
      */
-    calculatePrincipalMinorsSum(matrix, k) {
-        if (k === 0) {
-            return 1; // 0阶主子式之和为1
-        }
-        
-        const n = matrix.length;
-        if (k > n) {
-            return 0; // 阶数超过矩阵大小，和为0
-        }
-        
-        // 生成所有k个行/列的组合
-        const indices = Array.from({ length: n }, (_, i) => i);
-        const combinations = this.generateCombinations(indices, k);
-        
-        // 计算每个主子式的行列式并求和
-        let sum = 0;
-        for (const combo of combinations) {
-            const minor = this.extractPrincipalMinor(matrix, combo);
-            const det = this.calculateDeterminant(minor);
-            sum += det.result;
-        }
-        
-        return sum;
+    multiplyIntegerMatrices(X, Y) {
+        return X.map(row => Y[0].map((_, j) => row.reduce((sum, value, k) => sum + value * Y[k][j], 0n)));
+    }
+    
+    /**
+     * 判断两个 BigInt 矩阵是否相等
+     * @param {Array<Array<bigint>>} X - 第一个矩阵
+     * @param {Array<Array<bigint>>} Y - 第二个矩阵
+     * @returns {boolean} 是否相等
+     */
+    integerMatricesEqual(X, Y) {
+        return X.every((row, i) => row.every((value, j) => value === Y[i][j]));
+    }
+    
+    /**
+     * BigInt 矩阵转为分数矩阵（用于步骤显示）
+     * @param {Array<Array<bigint>>} X - 整数矩阵
+     * @returns {Array<Array<Fraction>>} 分数矩阵
+     */
+    integerMatrixToFractions(X) {
+        return X.map(row => row.map(value => new Fraction(value)));
+    }
+    
+    /**
+     * 行列变换中倍数的写法，如 "+ 2·"、"- 3·"、"+ "
+     * @param {bigint} k - 倍数
+     * @returns {string} 带符号的倍数
+     */
+    formatIntegerMultiple(k) {
+        const magnitude = k < 0n ? -k : k;
+        return `${k < 0n ? '-' : '+'} ${magnitude === 1n ? '' : `${magnitude}·`}`;
     }
     
     /**
@@ -425,6 +3064,7 @@ class MatrixOperations {
         if (n !== matrix[0].length) {
             throw new Error('只能计算方阵的行列式');
         }
+        this.assertDivisionField();
         
         const steps = [];
         const det = [];
@@ -434,7 +3074,7 @@ class MatrixOperations {
         
         steps.push({
             matrix: processedMatrix,
-            description: '输入矩阵'
+            description: '输入矩阵' + this.describeField()
         });
         
         // 高斯消元
@@ -442,12 +3082,7 @@ class MatrixOperations {
             // 寻找主元
             let pivotRow = i;
             for (let j = i; j < n; j++) {
-                const currentAbs = processedMatrix[j][i] instanceof Fraction ? 
-                    Math.abs(processedMatrix[j][i].toFloat()) : Math.abs(processedMatrix[j][i]);
-                const pivotAbs = processedMatrix[pivotRow][i] instanceof Fraction ? 
-                    Math.abs(processedMatrix[pivotRow][i].toFloat()) : Math.abs(processedMatrix[pivotRow][i]);
-                
-                if (currentAbs > pivotAbs) {
+                if (this.compareAbs(processedMatrix[j][i], processedMatrix[pivotRow][i]) > 0) {
                     pivotRow = j;
                 }
             }
@@ -474,6 +3109,7 @@ class MatrixOperations {
                 
                 return {
                     result: 0,
+                    formattedResult: this.formatNumber(0, this.getFormatType()),
                     steps
                 };
             }
@@ -482,18 +3118,10 @@ class MatrixOperations {
             
             // 消去下方元素
             for (let j = i + 1; j < n; j++) {
-                const factor = processedMatrix[j][i] instanceof Fraction ? 
-                    processedMatrix[j][i].divide(pivot) : processedMatrix[j][i] / pivot;
+                const factor = this.divideValues(processedMatrix[j][i], pivot);
                 
                 for (let k = i; k < n; k++) {
-                    if (processedMatrix[j][k] instanceof Fraction && processedMatrix[i][k] instanceof Fraction && factor instanceof Fraction) {
-                        processedMatrix[j][k] = processedMatrix[j][k].subtract(factor.multiply(processedMatrix[i][k]));
-                    } else {
-                        processedMatrix[j][k] -= factor * processedMatrix[i][k];
-                        if (this.useFractions) {
-                            processedMatrix[j][k] = this.toFraction(processedMatrix[j][k]);
-                        }
-                    }
+                    processedMatrix[j][k] = this.subtractValues(processedMatrix[j][k], this.multiplyValues(factor, processedMatrix[i][k]));
                 }
                 
                 steps.push({
@@ -506,11 +3134,7 @@ class MatrixOperations {
         // 计算对角线元素的乘积
         let determinant = 1;
         for (const val of det) {
-            if (val instanceof Fraction) {
-                determinant = determinant instanceof Fraction ? determinant.multiply(val) : new Fraction(determinant).multiply(val);
-            } else {
-                determinant *= val;
-            }
+            determinant = this.multiplyValues(determinant, val);
         }
         
         // 格式化结果用于显示
@@ -526,6 +3150,95 @@ class MatrixOperations {
         };
     }
     
+    /**
+     * 四个基本子空间：列空间 C(A)、行空间 C(Aᵀ)、零空间 N(A) 与左零空间 N(Aᵀ) 的基和维数；
+     * 复矩阵改用共轭转置 Aᴴ，使 N(A) ⊥ C(Aᴴ)、N(Aᴴ) ⊥ C(A) 在 Hermite 内积下成立。
+     * 列空间取 A 的主元列，行空间取行最简形的非零行（复矩阵取其共轭），两个零空间取基础解系
+     * @param {Array<Array<number|string>>} matrix - m×n 矩阵
+     * @returns {Object} 包含四个子空间的基、维数、秩–零化度检查和步骤的对象
+     */
+    fundamentalSubspaces(matrix) {
+        // 输入验证
+        if (!matrix || !Array.isArray(matrix) || matrix.length === 0) {
+            throw new Error('矩阵不能为空');
+        }
+        if (!Array.isArray(matrix[0]) || matrix[0].length === 0) {
+            throw new Error('矩阵不是有效的二维数组');
+        }
+        
+        const m = matrix.length;
+        const n = matrix[0].length;
+        const steps = [];
+        const currentFormat = this.getFormatType();
+        const processedMatrix = matrix.map(row => row.map(value => this.convertToAppropriateType(value)));
+        // 复矩阵用共轭转置 Aᴴ，实矩阵即转置 Aᵀ
+        const isComplex = processedMatrix.some(row => row.some(value => value instanceof ComplexNumber));
+        const star = isComplex ? 'ᴴ' : 'ᵀ';
+        
+        steps.push({
+            matrix: processedMatrix,
+            description: `输入 ${m}×${n} 矩阵 A` + this.describeField()
+        });
+        
+        const rref = this.reduceToRowEchelon(processedMatrix);
+        const pivotColumns = this.findPivotColumns(rref);
+        const rank = pivotColumns.length;
+        steps.push({
+            matrix: rref,
+            description: `化为行最简形，主元列为第 ${pivotColumns.map(j => j + 1).join('、') || '（无）'} 列，rank(A) = ${rank}`
+        });
+        
+        const columnSpace = pivotColumns.map(j => processedMatrix.map(row => row[j]));
+        const rowSpace = rref.slice(0, rank).map(row => (isComplex ? row.map(value => this.conjugateValue(value)) : row));
+        const nullSpace = this.nullSpaceBasis(rref).map(vector => vector.map(value => this.convertToAppropriateType(value)));
+        steps.push({
+            matrix: columnSpace.length ? this.transpose(columnSpace) : null,
+            description: `列空间 C(A)：取 A 的主元列为基，dim = ${rank}`
+        });
+        steps.push({
+            matrix: rowSpace.length ? rowSpace : null,
+            description: isComplex
+                ? `行空间 C(Aᴴ)：初等行变换不改变行空间，取行最简形非零行的共轭为基，dim = ${rank}`
+                : `行空间 C(Aᵀ)：初等行变换不改变行空间，取行最简形的非零行为基，dim = ${rank}`
+        });
+        steps.push({
+            matrix: nullSpace.length ? this.transpose(nullSpace) : null,
+            description: `零空间 N(A)：Ax = 0 的基础解系（按列排列），dim = ${nullSpace.length}`
+        });
+        
+        const transposedRref = this.reduceToRowEchelon(isComplex ? this.conjugateTranspose(processedMatrix) : this.transpose(processedMatrix));
+        const leftNullSpace = this.nullSpaceBasis(transposedRref).map(vector => vector.map(value => this.convertToAppropriateType(value)));
+        steps.push({
+            matrix: transposedRref,
+            description: `A${star} 的行最简形`
+        });
+        steps.push({
+            matrix: leftNullSpace.length ? this.transpose(leftNullSpace) : null,
+            description: `左零空间 N(A${star})：A${star}y = 0 的基础解系（按列排列），dim = ${leftNullSpace.length}`
+        });
+        
+        const rankNullity = rank + nullSpace.length === n && rank + leftNullSpace.length === m;
+        steps.push({
+            matrix: null,
+            description: `秩–零化度检查：dim C(A) + dim N(A) = ${rank} + ${nullSpace.length} = ${rank + nullSpace.length}（n = ${n}），` +
+                `dim C(A${star}) + dim N(A${star}) = ${rank} + ${leftNullSpace.length} = ${rank + leftNullSpace.length}（m = ${m}）` +
+                (rankNullity ? '' : '，检查失败')
+        });
+        
+        const formatVectors = vectors => vectors.map(vector => vector.map(value => this.formatNumber(value, currentFormat)));
+        return {
+            rank,
+            pivotColumns,
+            adjoint: star,
+            columnSpace: { basis: formatVectors(columnSpace), dimension: rank },
+            rowSpace: { basis: formatVectors(rowSpace), dimension: rank },
+            nullSpace: { basis: formatVectors(nullSpace), dimension: nullSpace.length },
+            leftNullSpace: { basis: formatVectors(leftNullSpace), dimension: leftNullSpace.length },
+            rankNullity,
+            steps
+        };
+    }
+    
     /**
      * 分析向量组线性相关性
      * @param {Array<Array<number|string>>} vectors - 向量组
@@ -548,7 +3261,7 @@ class MatrixOperations {
         
         steps.push({
             matrix: processedVectors,
-            description: '输入向量组'
+            description: '输入向量组' + this.describeField()
         });
         
         // 将向量组转换为矩阵（按列排列）
@@ -583,6 +3296,8 @@ class MatrixOperations {
         let isLinearlyIndependent = false;
         let basis = [];
         let relation = [];
+        let dependence = null;
+        let pivotColumns = processedVectors.map((_, j) => j);
         
         if (rank === processedVectors.length) {
             isLinearlyIndependent = true;
@@ -591,11 +3306,29 @@ class MatrixOperations {
             isLinearlyIndependent = false;
             
             // 寻找极大无关组
-            const pivotColumns = this.findPivotColumns(rref);
+            pivotColumns = this.findPivotColumns(rref);
             basis = pivotColumns.map(colIndex => processedVectors[colIndex]);
             
             // 计算线性关系
             relation = this.calculateLinearRelation(processedVectors, pivotColumns);
+            for (const { index, coefficients } of relation) {
+                steps.push({
+                    matrix: null,
+                    description: `第 ${index+1} 列不是主元列，由行最简形读出 α${index+1} = ${this.formatLinearCombination(coefficients)}`
+                });
+            }
+            
+            // 由第一个线性表示式移项得非平凡的线性相关等式，首项系数取正
+            const first = relation[0];
+            dependence = first.coefficients.map((value, j) => (j === first.index ? this.convertToAppropriateType(-1) : value));
+            const leading = dependence.find(value => !this.isZero(value));
+            if (!(leading instanceof ComplexNumber) && !(leading instanceof ModInteger) && this.realSign(leading) < 0) {
+                dependence = dependence.map(value => this.negateValue(value));
+            }
+            steps.push({
+                matrix: null,
+                description: `移项得非平凡的线性相关等式 ${this.formatLinearCombination(dependence)} = 0`
+            });
         }
         
         // 格式化结果用于显示
@@ -609,17 +3342,242 @@ class MatrixOperations {
         return {
             rank,
             isLinearlyIndependent,
+            pivotColumns,
             basis: formatVectors(basis),
-            relation: formatVectors(relation),
+            relation: formatVectors(relation.map(item => item.coefficients)),
+            relations: relation.map(({ index, coefficients }) => ({
+                index,
+                coefficients: formatVectors([coefficients])[0],
+                latex: `\\alpha_{${index+1}} = ${this.formatLinearCombination(coefficients, true)}`
+            })),
+            dependence: dependence ? formatVectors([dependence])[0] : null,
+            dependenceLatex: dependence ? `${this.formatLinearCombination(dependence, true)} = 0` : null,
+            steps
+        };
+    }
+    
+    /**
+     * 两个子空间的和与交：U = span(u₁, …)，W = span(w₁, …)
+     * U + W 由两组基合并后的极大无关组张成；U ∩ W 由 [U | -W]c = 0 的基础解系 c = (a, b) 给出，
+     * 交空间的基向量为 Σ aᵢuᵢ（= Σ bⱼwⱼ），并验证维数公式 dim(U+W) + dim(U∩W) = dim U + dim W
+     * @param {Array<Array<number|string>>} U - 张成 U 的向量组
+     * @param {Array<Array<number|string>>} W - 张成 W 的向量组
+     * @returns {Object} 包含 U、W、U+W、U∩W 的基与维数、维数公式检查和步骤的对象
+     */
+    subspaceSumAndIntersection(U, W) {
+        // 输入验证
+        if (!U || !Array.isArray(U) || U.length === 0 || !W || !Array.isArray(W) || W.length === 0) {
+            throw new Error('向量组不能为空');
+        }
+        const dimension = U[0].length;
+        if ([...U, ...W].some(vector => !Array.isArray(vector) || vector.length !== dimension || dimension === 0)) {
+            throw new Error('两个向量组中的向量维数必须相同');
+        }
+        
+        const steps = [];
+        const currentFormat = this.getFormatType();
+        const formatVectors = vectors => vectors.map(vector => vector.map(value => this.formatNumber(value, currentFormat)));
+        
+        // 分别求 U、W 的基（极大无关组）
+        const basisOf = (vectors, name) => {
+            const analysis = this.analyzeVectors(vectors);
+            const processed = vectors.map(vector => vector.map(value => this.convertToAppropriateType(value)));
+            const basis = analysis.pivotColumns.map(j => processed[j]);
+            steps.push({
+                matrix: basis.length ? this.transpose(basis) : null,
+                description: `${name} 的生成向量组的秩为 ${analysis.rank}，取第 ${analysis.pivotColumns.map(j => j + 1).join('、') || '（无）'} 个向量为基（按列排列），dim ${name} = ${basis.length}`
+            });
+            return basis;
+        };
+        const basisU = basisOf(U, 'U');
+        const basisW = basisOf(W, 'W');
+        
+        // U + W = span(U 的基 ∪ W 的基)
+        let sumBasis = [];
+        if (basisU.length + basisW.length > 0) {
+            const combined = [...basisU, ...basisW];
+            const analysis = this.analyzeVectors(combined);
+            sumBasis = analysis.pivotColumns.map(j => combined[j]);
+            steps.push({
+                matrix: this.transpose(sumBasis),
+                description: `合并两组基并求极大无关组（按列排列），dim(U+W) = ${sumBasis.length}`
+            });
+        }
+        
+        // U ∩ W：[U | -W]c = 0 的每个解 c = (a, b) 给出交中的向量 Σ aᵢuᵢ
+        let intersectionBasis = [];
+        if (basisU.length > 0 && basisW.length > 0) {
+            const stacked = Array.from({ length: dimension }, (_, i) => [
+                ...basisU.map(vector => vector[i]),
+                ...basisW.map(vector => this.negateValue(vector[i]))
+            ]);
+            steps.push({
+                matrix: stacked,
+                description: '以 U 的基和 W 的基的相反向量为列构成矩阵 [U | -W]'
+            });
+            const rref = this.reduceToRowEchelon(stacked);
+            const solutions = this.nullSpaceBasis(rref).map(vector => vector.map(value => this.convertToAppropriateType(value)));
+            steps.push({
+                matrix: rref,
+                description: `[U | -W]c = 0 的基础解系含 ${solutions.length} 个向量`
+            });
+            intersectionBasis = solutions.map(c => Array.from({ length: dimension }, (_, i) =>
+                basisU.reduce((sum, vector, j) => this.addValues(sum, this.multiplyValues(c[j], vector[i])), this.convertToAppropriateType(0))));
+            if (intersectionBasis.length > 0) {
+                steps.push({
+                    matrix: intersectionBasis,
+                    description: '每个解 c = (a, b) 给出交中的向量 a₁u₁ + a₂u₂ + …，它们构成 U∩W 的基'
+                });
+            }
+        }
+        
+        // 维数公式检查：dim(U∩W) 取交空间基向量组的秩独立计算，与 dim U + dim W - dim(U+W) 比较
+        const intersectionRank = intersectionBasis.length
+            ? this.calculateRank(this.reduceToRowEchelon(this.transpose(intersectionBasis)))
+            : 0;
+        const expected = basisU.length + basisW.length - sumBasis.length;
+        const dimensionFormula = intersectionRank === expected;
+        steps.push({
+            matrix: null,
+            description: `维数公式：交空间基向量组的秩 dim(U∩W) = ${intersectionRank}，` +
+                `dim U + dim W - dim(U+W) = ${basisU.length} + ${basisW.length} - ${sumBasis.length} = ${expected}，` +
+                (dimensionFormula ? '两者相等' : '验证失败')
+        });
+        
+        return {
+            U: { basis: formatVectors(basisU), dimension: basisU.length },
+            W: { basis: formatVectors(basisW), dimension: basisW.length },
+            sum: { basis: formatVectors(sumBasis), dimension: sumBasis.length },
+            intersection: { basis: formatVectors(intersectionBasis), dimension: intersectionRank },
+            dimensionFormula,
+            steps
+        };
+    }
+    
+    /**
+     * 向量在给定基下的坐标：解 x₁α₁ + … + xₙαₙ = v，即对 [α₁ … αₙ | v] 行化简
+     * @param {Array<number|string>} vector - 向量 v（标准坐标）
+     * @param {Array<Array<number|string>>} basis - 基 α₁, …, αₙ
+     * @returns {Object} 包含坐标和步骤的对象
+     */
+    coordinatesInBasis(vector, basis) {
+        if (!vector || !Array.isArray(vector) || vector.length === 0) {
+            throw new Error('向量不能为空');
+        }
+        const steps = [];
+        const processedBasis = this.assertBasis(basis, '所给向量组', steps);
+        if (vector.length !== processedBasis.length) {
+            throw new Error('向量的维数与基向量的维数不匹配');
+        }
+        
+        const processedVector = vector.map(value => this.convertToAppropriateType(value));
+        const augmented = processedVector.map((value, i) => [...processedBasis.map(b => b[i]), value]);
+        steps.push({
+            matrix: augmented,
+            description: '以基向量为列、v 为最后一列构成增广矩阵 [α₁ … αₙ | v]'
+        });
+        
+        const rref = this.reduceToRowEchelon(augmented);
+        const coordinates = rref.map(row => row[row.length - 1]);
+        const currentFormat = this.getFormatType();
+        steps.push({
+            matrix: rref,
+            description: `化为行最简形，最后一列即坐标 (${coordinates.map(value => this.formatNumber(value, currentFormat)).join(', ')})ᵀ`
+        });
+        
+        return {
+            coordinates: coordinates.map(value => this.formatNumber(value, currentFormat)),
+            coordinatesLatex: this.vectorToLatex(coordinates),
+            steps
+        };
+    }
+    
+    /**
+     * 从基 α₁, …, αₙ 到基 β₁, …, βₙ 的过渡矩阵 P：(β₁, …, βₙ) = (α₁, …, αₙ)P
+     * 记 A、B 为两组基按列排成的矩阵，则 AP = B，对 [A | B] 行化简得 [I | P]；
+     * 同一向量的坐标满足 x_α = P·x_β，x_β = P⁻¹·x_α
+     * @param {Array<Array<number|string>>} fromBasis - 基 α₁, …, αₙ
+     * @param {Array<Array<number|string>>} toBasis - 基 β₁, …, βₙ
+     * @returns {Object} 包含过渡矩阵 P、其逆 P⁻¹ 和步骤的对象
+     */
+    changeOfBasisMatrix(fromBasis, toBasis) {
+        const steps = [];
+        const alpha = this.assertBasis(fromBasis, '基α', steps);
+        const beta = this.assertBasis(toBasis, '基β', steps);
+        if (alpha.length !== beta.length) {
+            throw new Error('两组基所在空间的维数不同');
+        }
+        
+        const n = alpha.length;
+        const augmented = Array.from({ length: n }, (_, i) => [...alpha.map(v => v[i]), ...beta.map(v => v[i])]);
+        steps.push({
+            matrix: augmented,
+            description: '两组基分别按列排成 A、B，过渡矩阵 P 满足 AP = B，构造 [A | B]'
+        });
+        
+        const rref = this.reduceToRowEchelon(augmented);
+        const P = rref.map(row => row.slice(n));
+        steps.push({
+            matrix: rref,
+            description: '行化简得 [I | P]，右半部分即过渡矩阵 P = A⁻¹B'
+        });
+        
+        const inverseP = this.calculateInverse(P).rawInverse;
+        steps.push({
+            matrix: inverseP,
+            description: 'P⁻¹ = B⁻¹A 是从基 β 到基 α 的过渡矩阵；坐标变换 x_α = P·x_β，x_β = P⁻¹·x_α'
+        });
+        
+        const currentFormat = this.getFormatType();
+        const formatMatrix = mat => mat.map(row => row.map(value => this.formatNumber(value, currentFormat)));
+        return {
+            transitionMatrix: formatMatrix(P),
+            inverseTransitionMatrix: formatMatrix(inverseP),
+            transitionMatrixLatex: this.matrixToLatex(P),
+            inverseTransitionMatrixLatex: this.matrixToLatex(inverseP),
+            rawTransitionMatrix: P,
+            rawInverseTransitionMatrix: inverseP,
             steps
         };
     }
     
+    /**
+     * 检查向量组是否构成所在空间的一组基（向量个数等于维数且秩等于个数）
+     * @param {Array<Array<number|string>>} vectors - 向量组
+     * @param {string} name - 报错时使用的名称
+     * @param {Array<Object>} steps - 步骤数组
+     * @returns {Array<Array>} 转换类型后的向量组
+     */
+    assertBasis(vectors, name, steps) {
+        if (!vectors || !Array.isArray(vectors) || vectors.length === 0) {
+            throw new Error(`${name}不能为空`);
+        }
+        const dimension = vectors[0].length;
+        if (vectors.some(vector => !Array.isArray(vector) || vector.length !== dimension)) {
+            throw new Error(`${name}中的向量维数不一致`);
+        }
+        if (vectors.length !== dimension) {
+            throw new Error(`${name}含 ${vectors.length} 个向量，而空间维数为 ${dimension}，不能构成一组基`);
+        }
+        
+        const { rank } = this.analyzeVectors(vectors);
+        if (rank !== dimension) {
+            throw new Error(`${name}的秩为 ${rank} < ${dimension}，线性相关，不能构成一组基`);
+        }
+        
+        const processed = vectors.map(vector => vector.map(value => this.convertToAppropriateType(value)));
+        steps.push({
+            matrix: this.transpose(processed),
+            description: `${name}（按列排列）的秩为 ${rank}，构成一组基`
+        });
+        return processed;
+    }
+    
     /**
      * 计算点积
-     * @param {Array<number|Fraction>} vector1 - 第一个向量
-     * @param {Array<number|Fraction>} vector2 - 第二个向量
-     * @returns {number|Fraction} 点积
+     * @param {Array<number|Fraction|ComplexNumber>} vector1 - 第一个向量
+     * @param {Array<number|Fraction|ComplexNumber>} vector2 - 第二个向量
+     * @returns {number|Fraction|ComplexNumber} 点积 Σ aᵢbᵢ（不取共轭）
      */
     dotProduct(vector1, vector2) {
         if (vector1.length !== vector2.length) {
@@ -628,31 +3586,32 @@ class MatrixOperations {
         
         let product = 0;
         for (let i = 0; i < vector1.length; i++) {
-            if (vector1[i] instanceof Fraction && vector2[i] instanceof Fraction) {
-                const temp = vector1[i].multiply(vector2[i]);
-                product = product instanceof Fraction ? product.add(temp) : temp;
-            } else {
-                product += vector1[i] * vector2[i];
-            }
+            product = this.addValues(product, this.multiplyValues(vector1[i], vector2[i]));
         }
         
         return product;
     }
     
+    /**
+     * 计算内积（复向量使用Hermite内积 ⟨a, b⟩ = Σ aᵢ·conj(bᵢ)，实向量即为点积）
+     * @param {Array<number|Fraction|ComplexNumber>} vector1 - 第一个向量
+     * @param {Array<number|Fraction|ComplexNumber>} vector2 - 第二个向量
+     * @returns {number|Fraction|ComplexNumber} 内积
+     */
+    innerProduct(vector1, vector2) {
+        return this.dotProduct(vector1, vector2.map(value => this.conjugateValue(value)));
+    }
+    
     /**
      * 向量数乘
-     * @param {Array<number|Fraction>} vector - 向量
-     * @param {number|Fraction} scalar - 标量
-     * @returns {Array<number|Fraction>} 结果向量
+     * @param {Array<number|Fraction|Surd>} vector - 向量
+     * @param {number|Fraction|Surd} scalar - 标量
+     * @returns {Array<number|Fraction|Surd>} 结果向量
      */
     scalarMultiply(vector, scalar) {
         return vector.map(component => {
-            if (component instanceof Fraction && scalar instanceof Fraction) {
-                return component.multiply(scalar);
-            } else {
-                const result = component * scalar;
-                return this.useFractions ? this.toFraction(result) : result;
-            }
+            const result = this.multiplyValues(component, scalar);
+            return this.useFractions && typeof result === 'number' ? this.toFraction(result) : result;
         });
     }
     
@@ -668,12 +3627,8 @@ class MatrixOperations {
         }
         
         return vector1.map((component, index) => {
-            if (component instanceof Fraction && vector2[index] instanceof Fraction) {
-                return component.add(vector2[index]);
-            } else {
-                const result = component + vector2[index];
-                return this.useFractions ? this.toFraction(result) : result;
-            }
+            const result = this.addValues(component, vector2[index]);
+            return this.useFractions && typeof result === 'number' ? this.toFraction(result) : result;
         });
     }
     
@@ -689,24 +3644,28 @@ class MatrixOperations {
         }
         
         return vector1.map((component, index) => {
-            if (component instanceof Fraction && vector2[index] instanceof Fraction) {
-                return component.subtract(vector2[index]);
-            } else {
-                const result = component - vector2[index];
-                return this.useFractions ? this.toFraction(result) : result;
-            }
+            const result = this.subtractValues(component, vector2[index]);
+            return this.useFractions && typeof result === 'number' ? this.toFraction(result) : result;
         });
     }
     
     /**
      * 向量模长
-     * @param {Array<number|Fraction>} vector - 向量
-     * @returns {number|Fraction} 模长
+     * @param {Array<number|Fraction|ComplexNumber>} vector - 向量
+     * @returns {number|Fraction|Surd} 模长（分数向量返回精确的根式，如 √12 → 2√3；开方结果为有理数时返回分数）
+     * @throws {Error} 有限域上没有范数
      */
     vectorNorm(vector) {
-        const dot = this.dotProduct(vector, vector);
+        if (this.field.type === 'mod') {
+            throw new Error('有限域上没有范数，无法计算向量模长');
+        }
+        let dot = this.innerProduct(vector, vector);
+        if (dot instanceof ComplexNumber) {
+            dot = dot.real; // Hermite内积 ⟨v, v⟩ 为非负实数
+        }
         if (dot instanceof Fraction) {
-            return Math.sqrt(dot.toFloat());
+            const root = Surd.sqrt(dot);
+            return root.isRational() ? root.toFraction() : root;
         } else {
             return Math.sqrt(dot);
         }
@@ -715,17 +3674,18 @@ class MatrixOperations {
     /**
      * 向量单位化
      * @param {Array<number|Fraction>} vector - 向量
-     * @returns {Array<number|Fraction>} 单位向量
+     * @returns {Array<number|Fraction|Surd>} 单位向量
      */
     normalizeVector(vector) {
         const norm = this.vectorNorm(vector);
-        return this.scalarMultiply(vector, 1 / norm);
+        const scale = norm instanceof Fraction || norm instanceof Surd ? norm.reciprocal() : 1 / norm;
+        return this.scalarMultiply(vector, scale);
     }
     
     /**
      * 施密特正交化
      * @param {Array<Array<number|string>>} vectors - 向量组
-     * @returns {Object} 包含正交向量组和步骤的对象
+     * @returns {Object} 包含正交向量组、rawOrthonormal（未格式化的单位正交向量）和步骤的对象
      */
     schmidtOrthonormalization(vectors) {
         // 输入验证
@@ -735,6 +3695,9 @@ class MatrixOperations {
         if (!Array.isArray(vectors[0]) || vectors[0].length === 0) {
             throw new Error('向量不是有效的数组');
         }
+        if (this.field.type === 'mod') {
+            throw new Error('有限域上没有内积，无法进行施密特正交化');
+        }
         
         const steps = [];
         const n = vectors.length;
@@ -756,9 +3719,14 @@ class MatrixOperations {
             let u = [...processedVectors[i]];
             
             for (let j = 0; j < i; j++) {
-                const dot = this.dotProduct(processedVectors[i], orthogonal[j]);
-                const normSq = this.dotProduct(orthogonal[j], orthogonal[j]);
-                const proj = this.scalarMultiply(orthogonal[j], dot / normSq);
+                // 复向量使用Hermite内积
+                const dot = this.innerProduct(processedVectors[i], orthogonal[j]);
+                const normSq = this.innerProduct(orthogonal[j], orthogonal[j]);
+                if (this.isZero(normSq)) {
+                    continue; // 零向量不参与投影
+                }
+                const coefficient = this.divideValues(dot, normSq);
+                const proj = this.scalarMultiply(orthogonal[j], coefficient);
                 u = this.subtractVectors(u, proj);
                 
                 steps.push({
@@ -777,7 +3745,7 @@ class MatrixOperations {
             // 计算单位向量
             const norm = this.vectorNorm(u);
             if (!this.isZero(norm)) {
-                const e = this.scalarMultiply(u, 1 / norm);
+                const e = this.normalizeVector(u);
                 orthonormal.push(e);
                 
                 steps.push({
@@ -795,20 +3763,640 @@ class MatrixOperations {
             );
         };
         
-        return {
-            orthogonal: formatVectors(orthogonal),
-            orthonormal: formatVectors(orthonormal),
-            steps
-        };
+        return {
+            rank: orthonormal.length,
+            isLinearlyIndependent: orthonormal.length === n,
+            orthogonal: formatVectors(orthogonal),
+            orthonormal: formatVectors(orthonormal),
+            orthogonalLatex: orthogonal.map(vec => vec.map(value => this.numberToLatex(value))),
+            orthonormalLatex: orthonormal.map(vec => vec.map(value => this.numberToLatex(value))),
+            rawOrthonormal: orthonormal,
+            steps
+        };
+    }
+    
+    /**
+     * 正交补 W⊥ = {x : ⟨x, w⟩ = 0 对所有 w ∈ W 成立}，W 由所给向量张成
+     * 以 conj(wᵢ)ᵀ 为行构成矩阵 M，则 W⊥ 即 Mx = 0 的解空间；再用施密特正交化给出单位正交基
+     * @param {Array<Array<number|string>>} vectors - 张成 W 的向量组
+     * @returns {Object} 包含 W⊥ 的基、正交基、单位正交基、维数和步骤的对象
+     */
+    orthogonalComplement(vectors) {
+        // 输入验证
+        if (!vectors || !Array.isArray(vectors) || vectors.length === 0) {
+            throw new Error('向量组不能为空');
+        }
+        const n = vectors[0].length;
+        if (vectors.some(vector => !Array.isArray(vector) || vector.length !== n || n === 0)) {
+            throw new Error('向量组中的向量维数必须相同');
+        }
+        if (this.field.type === 'mod') {
+            throw new Error('有限域上没有内积，无法求正交补');
+        }
+        
+        const steps = [];
+        const currentFormat = this.getFormatType();
+        const processedVectors = vectors.map(vector => vector.map(value => this.convertToAppropriateType(value)));
+        const M = processedVectors.map(vector => vector.map(value => this.conjugateValue(value)));
+        steps.push({
+            matrix: M,
+            description: '以 W 的生成向量（复向量取共轭）为行构成矩阵 M，x ∈ W⊥ 当且仅当 Mx = 0'
+        });
+        
+        const rref = this.reduceToRowEchelon(M);
+        const rank = this.calculateRank(rref);
+        const basis = this.nullSpaceBasis(rref).map(vector => vector.map(value => this.convertToAppropriateType(value)));
+        steps.push({
+            matrix: rref,
+            description: `化为行最简形，dim W = ${rank}，基础解系含 ${basis.length} 个向量`
+        });
+        
+        let orthogonal = [];
+        let orthonormal = [];
+        if (basis.length > 0) {
+            steps.push({
+                matrix: basis,
+                description: 'W⊥ 的一组基（Mx = 0 的基础解系）'
+            });
+            const schmidt = this.schmidtOrthonormalization(basis);
+            steps.push(...schmidt.steps.slice(1));
+            orthogonal = schmidt.orthogonal;
+            orthonormal = schmidt.orthonormal;
+        } else {
+            steps.push({
+                matrix: null,
+                description: 'Mx = 0 只有零解，W⊥ = {0}'
+            });
+        }
+        
+        steps.push({
+            matrix: null,
+            description: `维数检查：dim W + dim W⊥ = ${rank} + ${basis.length} = ${rank + basis.length}，等于空间维数 ${n}`
+        });
+        
+        return {
+            basis: basis.map(vector => vector.map(value => this.formatNumber(value, currentFormat))),
+            orthogonalBasis: orthogonal,
+            orthonormalBasis: orthonormal,
+            dimension: basis.length,
+            subspaceDimension: rank,
+            steps
+        };
+    }
+    
+    /**
+     * 到子空间 W = span(a₁, …, aₖ) 上的正交投影矩阵 P = A(AᴴA)⁻¹Aᴴ（实矩阵即 A(AᵀA)⁻¹Aᵀ）
+     * A 取生成向量的极大无关组为列，保证 AᴴA 可逆；分数模式下结果精确
+     * @param {Array<Array<number|string>>} vectors - 张成 W 的向量组
+     * @returns {Object} 包含投影矩阵、验证结果（P² = P，Pᴴ = P）和步骤的对象
+     */
+    projectionMatrix(vectors) {
+        // 输入验证
+        if (!vectors || !Array.isArray(vectors) || vectors.length === 0) {
+            throw new Error('向量组不能为空');
+        }
+        const n = vectors[0].length;
+        if (vectors.some(vector => !Array.isArray(vector) || vector.length !== n || n === 0)) {
+            throw new Error('向量组中的向量维数必须相同');
+        }
+        if (this.field.type === 'mod') {
+            throw new Error('有限域上没有内积，无法求正交投影');
+        }
+        
+        const steps = [];
+        const currentFormat = this.getFormatType();
+        const multiply = (X, Y) => this.multiplyMatrices(X, Y).rawResult;
+        const processedVectors = vectors.map(vector => vector.map(value => this.convertToAppropriateType(value)));
+        const { pivotColumns } = this.analyzeVectors(vectors);
+        const independent = pivotColumns.map(j => processedVectors[j]);
+        // 复向量用共轭转置 Aᴴ，实向量即转置 Aᵀ
+        const star = processedVectors.some(vector => vector.some(value => value instanceof ComplexNumber)) ? 'ᴴ' : 'ᵀ';
+        
+        let P;
+        if (independent.length === 0) {
+            P = Array.from({ length: n }, () => new Array(n).fill(this.convertToAppropriateType(0)));
+            steps.push({
+                matrix: P,
+                description: 'W = {0}，投影矩阵为零矩阵'
+            });
+        } else {
+            const A = this.transpose(independent);
+            steps.push({
+                matrix: A,
+                description: `取生成向量的极大无关组（第 ${pivotColumns.map(j => j + 1).join('、')} 个）为列构成 A`
+            });
+            
+            const AH = this.conjugateTranspose(A);
+            const gram = multiply(AH, A);
+            steps.push({
+                matrix: gram,
+                description: `A${star}A（列线性无关，故可逆）`
+            });
+            const gramInverse = this.calculateInverse(gram).rawInverse;
+            steps.push({
+                matrix: gramInverse,
+                description: `(A${star}A)⁻¹`
+            });
+            P = multiply(multiply(A, gramInverse), AH);
+            steps.push({
+                matrix: P,
+                description: `P = A(A${star}A)⁻¹A${star}`
+            });
+        }
+        
+        // 正交投影矩阵幂等且自伴
+        const verified = this.matricesEqual(multiply(P, P), P) && this.matricesEqual(this.conjugateTranspose(P), P);
+        steps.push({
+            matrix: null,
+            description: verified ? `验证：P² = P，P${star} = P` : '验证失败：P 不是正交投影矩阵'
+        });
+        
+        return {
+            projectionMatrix: P.map(row => row.map(value => this.formatNumber(value, currentFormat))),
+            projectionMatrixLatex: this.matrixToLatex(P),
+            rawProjectionMatrix: P,
+            rank: independent.length,
+            verified,
+            steps
+        };
+    }
+    
+    /**
+     * 正交分解 v = proj + perp，其中 proj = Pv ∈ W 为 v 在 W 上的正交投影，perp = v - proj ∈ W⊥
+     * @param {Array<number|string>} vector - 向量 v
+     * @param {Array<Array<number|string>>} subspace - 张成 W 的向量组
+     * @returns {Object} 包含投影分量、垂直分量、v 到 W 的距离、验证结果和步骤的对象
+     */
+    orthogonalDecomposition(vector, subspace) {
+        if (!vector || !Array.isArray(vector) || vector.length === 0) {
+            throw new Error('向量不能为空');
+        }
+        const projection = this.projectionMatrix(subspace);
+        if (vector.length !== projection.rawProjectionMatrix.length) {
+            throw new Error('向量的维数与子空间所在空间的维数不匹配');
+        }
+        
+        const steps = [...projection.steps];
+        const currentFormat = this.getFormatType();
+        const v = vector.map(value => this.convertToAppropriateType(value));
+        const proj = this.multiplyMatrices(projection.rawProjectionMatrix, v.map(value => [value])).rawResult.map(row => row[0]);
+        const perp = this.subtractVectors(v, proj);
+        const formatVector = vec => vec.map(value => this.formatNumber(value, currentFormat));
+        
+        steps.push({
+            matrix: [proj],
+            description: '投影分量 proj = Pv ∈ W'
+        });
+        steps.push({
+            matrix: [perp],
+            description: '垂直分量 perp = v - proj ∈ W⊥'
+        });
+        
+        // perp 与 W 的每个生成向量都正交
+        const generators = subspace.map(w => w.map(value => this.convertToAppropriateType(value)));
+        const verified = generators.every(w => this.isZero(this.innerProduct(perp, w)));
+        const distance = this.vectorNorm(perp);
+        steps.push({
+            matrix: null,
+            description: (verified ? '验证：perp 与 W 的每个生成向量的内积都为 0' : '验证失败：perp 与 W 不正交') +
+                `；v 到 W 的距离 ‖perp‖ = ${this.formatNumber(distance, currentFormat)}`
+        });
+        
+        return {
+            projection: formatVector(proj),
+            perpendicular: formatVector(perp),
+            projectionLatex: this.vectorToLatex(proj),
+            perpendicularLatex: this.vectorToLatex(perp),
+            distance: this.formatNumber(distance, currentFormat),
+            verified,
+            steps
+        };
+    }
+    
+    /**
+     * QR分解 A = QR（Q 的列单位正交，R 为上三角矩阵）
+     * 经典施密特正交化沿用当前数域（分数模式下为精确根式）；改进的施密特正交化和豪斯霍尔德反射
+     * 是数值算法，始终用浮点数计算，便于比较病态矩阵上的数值稳定性
+     * @param {Array<Array<number|string>>} matrix - 输入矩阵（行数不少于列数）
+     * @param {Object} options - 选项
+     * @param {string} options.method - 'classical'（经典施密特）、'modified'（改进施密特）或 'householder'
+     * @returns {Object} 包含 Q、R、重构结果 QR、重构误差、正交性误差和步骤的对象
+     */
+    qrDecomposition(matrix, options = {}) {
+        const method = options.method || 'classical';
+        
+        // 输入验证
+        if (!matrix || !Array.isArray(matrix) || matrix.length === 0) {
+            throw new Error('矩阵不能为空');
+        }
+        if (!Array.isArray(matrix[0]) || matrix[0].length === 0) {
+            throw new Error('矩阵不是有效的二维数组');
+        }
+        if (!['classical', 'modified', 'householder'].includes(method)) {
+            throw new Error(`未知的QR分解方法：${method}`);
+        }
+        if (this.field.type === 'mod') {
+            throw new Error('有限域上没有内积，无法进行QR分解');
+        }
+        
+        const m = matrix.length;
+        const n = matrix[0].length;
+        if (m < n) {
+            throw new Error('QR分解要求矩阵的行数不少于列数');
+        }
+        
+        const processedMatrix = matrix.map(row => row.map(value => this.convertToAppropriateType(value)));
+        let Q;
+        let R;
+        let steps;
+        
+        if (method === 'classical') {
+            ({ Q, R, steps } = this.classicalQR(processedMatrix));
+        } else {
+            if (processedMatrix.some(row => row.some(value => value instanceof ComplexNumber))) {
+                throw new Error('改进的施密特正交化和豪斯霍尔德方法只支持实矩阵');
+            }
+            const floats = processedMatrix.map(row => row.map(value => (value instanceof Fraction ? value.toFloat() : value)));
+            ({ Q, R, steps } = method === 'modified' ? this.modifiedGramSchmidtQR(floats) : this.householderQR(floats));
+        }
+        
+        // 重构检查：max|A - QR| 与 max|QᴴQ - I|；数值方法直接用浮点数计算，避免转换为分数带来的误差
+        const numeric = method !== 'classical';
+        const multiply = (X, Y) => (numeric
+            ? X.map(row => Y[0].map((_, j) => row.reduce((sum, value, k) => sum + value * Y[k][j], 0)))
+            : this.multiplyMatrices(X, Y).rawResult);
+        const magnitude = value => {
+            if (typeof value === 'number') {
+                return Math.abs(value);
+            }
+            const complex = ComplexNumber.from(value);
+            return Math.hypot(complex.real.toFloat(), complex.imaginary.toFloat());
+        };
+        const maxError = (X, Y) => Math.max(...X.map((row, i) =>
+            Math.max(...row.map((value, j) => magnitude(this.subtractValues(value, Y[i][j]))))));
+        const product = multiply(Q, R);
+        const gram = multiply(this.conjugateTranspose(Q), Q);
+        const identity = this.createIdentityMatrix(n);
+        const reconstructionError = maxError(numeric ? processedMatrix.map(row => row.map(value =>
+            (value instanceof Fraction ? value.toFloat() : value))) : processedMatrix, product);
+        const orthogonalityError = maxError(gram, identity);
+        
+        steps.push({
+            matrix: product,
+            description: `重构检查：max|A - QR| = ${reconstructionError.toExponential(2)}，` +
+                `max|QᵀQ - I| = ${orthogonalityError.toExponential(2)}`
+        });
+        
+        const format = value => (numeric ? this.formatApproximateComplex(value, 0) : this.formatNumber(value, this.getFormatType()));
+        const formatMatrix = mat => mat.map(row => row.map(format));
+        
+        return {
+            method,
+            Q: formatMatrix(Q),
+            R: formatMatrix(R),
+            reconstruction: formatMatrix(product),
+            reconstructionError,
+            orthogonalityError,
+            verified: reconstructionError < 1e-9 && orthogonalityError < 1e-9,
+            steps
+        };
+    }
+    
+    /**
+     * 经典施密特正交化求QR分解：Q 的列由 schmidtOrthonormalization 得到，R = QᴴA
+     * @param {Array<Array>} matrix - 已转换类型的矩阵
+     * @returns {Object} { Q, R, steps }
+     */
+    classicalQR(matrix) {
+        const n = matrix[0].length;
+        const columns = this.transpose(matrix);
+        const schmidt = this.schmidtOrthonormalization(columns);
+        if (!schmidt.isLinearlyIndependent) {
+            throw new Error('矩阵的列向量线性相关，无法用施密特正交化进行QR分解');
+        }
+        
+        const q = schmidt.rawOrthonormal;
+        const zero = this.convertToAppropriateType(0);
+        // R 的 (i, j) 元为 ⟨a_j, q_i⟩，i > j 时为零
+        const R = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) =>
+            (i <= j ? this.innerProduct(columns[j], q[i]) : zero)));
+        const steps = [
+            ...schmidt.steps,
+            { matrix: this.transpose(q), description: '以单位正交向量 e1, …, en 为列构成 Q' },
+            { matrix: R, description: 'R = QᴴA，其 (i, j) 元为 ⟨a_j, e_i⟩' }
+        ];
+        
+        return { Q: this.transpose(q), R, steps };
+    }
+    
+    /**
+     * 改进的施密特正交化求QR分解（浮点数）：每得到一个 q_i 就立即从后续各列中减去其分量
+     * @param {Array<Array<number>>} matrix - 浮点矩阵
+     * @returns {Object} { Q, R, steps }
+     */
+    modifiedGramSchmidtQR(matrix) {
+        const n = matrix[0].length;
+        const v = this.transpose(matrix);
+        const q = [];
+        const R = Array.from({ length: n }, () => new Array(n).fill(0));
+        const steps = [{ matrix: matrix, description: '输入矩阵 A（改进的施密特正交化，浮点运算）' }];
+        
+        for (let i = 0; i < n; i++) {
+            R[i][i] = Math.hypot(...v[i]);
+            if (R[i][i] < 1e-12) {
+                throw new Error('矩阵的列向量线性相关，无法用施密特正交化进行QR分解');
+            }
+            q.push(v[i].map(x => x / R[i][i]));
+            for (let j = i + 1; j < n; j++) {
+                R[i][j] = q[i].reduce((sum, x, k) => sum + x * v[j][k], 0);
+                v[j] = v[j].map((x, k) => x - R[i][j] * q[i][k]);
+            }
+            steps.push({
+                matrix: [q[i]],
+                description: `q${i+1} = v${i+1} / ${this.formatApproximateComplex(R[i][i], 0)}，并从 v${i+2}, …, v${n} 中减去 q${i+1} 方向的分量`
+            });
+        }
+        
+        const Q = this.transpose(q);
+        steps.push({ matrix: Q, description: 'Q' });
+        steps.push({ matrix: R, description: 'R' });
+        return { Q, R, steps };
+    }
+    
+    /**
+     * 豪斯霍尔德反射求QR分解（浮点数）：逐列用 H = I - 2vvᵀ 将对角线以下元素化为零
+     * @param {Array<Array<number>>} matrix - 浮点矩阵
+     * @returns {Object} { Q, R, steps }，Q 取前 n 列、R 取前 n 行（薄QR分解）
+     */
+    householderQR(matrix) {
+        const m = matrix.length;
+        const n = matrix[0].length;
+        const R = matrix.map(row => [...row]);
+        const Q = this.createIdentityMatrix(m);
+        const steps = [{ matrix: matrix, description: '输入矩阵 A（豪斯霍尔德反射，浮点运算）' }];
+        
+        for (let k = 0; k < Math.min(m - 1, n); k++) {
+            const x = R.slice(k).map(row => row[k]);
+            const norm = Math.hypot(...x);
+            if (norm < 1e-300) {
+                continue;
+            }
+            // α 取与 x₁ 相反的符号，避免相减抵消
+            const alpha = x[0] > 0 ? -norm : norm;
+            const v = [x[0] - alpha, ...x.slice(1)];
+            const vNorm = Math.hypot(...v);
+            if (vNorm < 1e-300) {
+                continue;
+            }
+            const u = v.map(value => value / vNorm);
+            
+            // R ← H R，Q ← Q H
+            for (let j = 0; j < n; j++) {
+                const dot = u.reduce((sum, value, i) => sum + value * R[k + i][j], 0);
+                u.forEach((value, i) => { R[k + i][j] -= 2 * value * dot; });
+            }
+            for (let i = 0; i < m; i++) {
+                const dot = u.reduce((sum, value, l) => sum + value * Q[i][k + l], 0);
+                u.forEach((value, l) => { Q[i][k + l] -= 2 * value * dot; });
+            }
+            for (let i = k + 1; i < m; i++) {
+                R[i][k] = 0;
+            }
+            
+            steps.push({
+                matrix: R.map(row => [...row]),
+                description: `第 ${k+1} 次反射 H${k+1} = I - 2vvᵀ，将第 ${k+1} 列对角线以下化为零`
+            });
+        }
+        
+        const thinQ = Q.map(row => row.slice(0, n));
+        const thinR = R.slice(0, n);
+        steps.push({ matrix: thinQ, description: 'Q（取前 n 列）' });
+        steps.push({ matrix: thinR, description: 'R（取前 n 行）' });
+        return { Q: thinQ, R: thinR, steps };
+    }
+    
+    /**
+     * Cholesky分解 A = LLᵀ（复矩阵为 A = LLᴴ），要求 A 对称正定
+     * 分数模式下 L 的元素用精确根式表示，小数模式下用浮点数
+     * @param {Array<Array<number|string>>} matrix - 对称（埃尔米特）矩阵
+     * @returns {Object} 包含是否正定、L、失败的顺序主子式（不正定时）和步骤的对象
+     */
+    choleskyDecomposition(matrix) {
+        const processedMatrix = this.prepareSymmetricMatrix(matrix, 'Cholesky');
+        const n = processedMatrix.length;
+        const steps = [];
+        const { L: unitL, pivots, minors } = this.symmetricElimination(processedMatrix, steps);
+        const currentFormat = this.getFormatType();
+        
+        // 第一个非正的主元对应第一个非正的顺序主子式 Δk = d1·d2·…·dk
+        const failing = pivots.findIndex(pivot => this.realSign(pivot) <= 0);
+        if (failing !== -1 || pivots.length < n) {
+            const order = failing !== -1 ? failing + 1 : pivots.length + 1;
+            const minor = minors[order - 1];
+            const reason = `第 ${order} 阶顺序主子式 Δ${order} = ${this.formatNumber(minor, currentFormat)} ≤ 0，` +
+                '矩阵不是正定矩阵，不能进行Cholesky分解';
+            steps.push({ matrix: null, description: reason });
+            return {
+                isPositiveDefinite: false,
+                failingMinor: { order, value: this.formatNumber(minor, currentFormat) },
+                reason,
+                L: null,
+                steps
+            };
+        }
+        
+        // L = L₁·√D，其中 A = L₁DL₁ᴴ
+        const roots = pivots.map(pivot => {
+            const d = pivot instanceof ComplexNumber ? pivot.real : pivot;
+            if (d instanceof Fraction) {
+                const root = Surd.sqrt(d);
+                return root.isRational() ? root.toFraction() : root;
+            }
+            return Math.sqrt(d);
+        });
+        const L = unitL.map(row => row.map((value, j) => this.multiplyValues(value, roots[j])));
+        steps.push({
+            matrix: L,
+            description: '由 A = L₁DL₁ᵀ 得 L = L₁√D，对角元为各主元的算术平方根'
+        });
+        
+        const product = this.multiplyMatrices(L, this.conjugateTranspose(L)).rawResult;
+        const verified = this.matricesEqual(product, processedMatrix);
+        steps.push({
+            matrix: product,
+            description: verified ? '验证：LLᵀ = A' : '验证失败：LLᵀ ≠ A'
+        });
+        
+        return {
+            isPositiveDefinite: true,
+            failingMinor: null,
+            reason: '各阶顺序主子式均大于0，矩阵正定',
+            L: L.map(row => row.map(value => this.formatNumber(value, currentFormat))),
+            LLatex: this.matrixToLatex(L),
+            verified,
+            steps
+        };
+    }
+    
+    /**
+     * LDLᵀ分解 A = LDLᵀ（复矩阵为 A = LDLᴴ），L 为单位下三角矩阵，D 为对角矩阵
+     * 不开平方，分数模式下全程精确；不要求正定，但要求各阶顺序主子式不为零
+     * @param {Array<Array<number|string>>} matrix - 对称（埃尔米特）矩阵
+     * @returns {Object} 包含 L、D、各阶顺序主子式、是否正定、惯性指数和步骤的对象
+     */
+    ldltDecomposition(matrix) {
+        const processedMatrix = this.prepareSymmetricMatrix(matrix, 'LDLᵀ');
+        const n = processedMatrix.length;
+        const steps = [];
+        const { L, pivots, minors } = this.symmetricElimination(processedMatrix, steps);
+        const currentFormat = this.getFormatType();
+        
+        if (pivots.length < n) {
+            const order = pivots.length + 1;
+            throw new Error(`第 ${order} 阶顺序主子式 Δ${order} = 0，不选主元的LDLᵀ分解不存在`);
+        }
+        
+        const zero = this.convertToAppropriateType(0);
+        const D = pivots.map((pivot, i) => pivots.map((_, j) => (i === j ? pivot : zero)));
+        steps.push({ matrix: L, description: '单位下三角矩阵 L（对角线以下为各步乘数）' });
+        steps.push({ matrix: D, description: '对角矩阵 D（对角元为各步主元）' });
+        
+        const product = this.multiplyMatrices(this.multiplyMatrices(L, D).rawResult, this.conjugateTranspose(L)).rawResult;
+        const verified = this.matricesEqual(product, processedMatrix);
+        steps.push({
+            matrix: product,
+            description: verified ? '验证：LDLᵀ = A' : '验证失败：LDLᵀ ≠ A'
+        });
+        
+        const positive = pivots.filter(pivot => this.realSign(pivot) > 0).length;
+        
+        return {
+            L: L.map(row => row.map(value => this.formatNumber(value, currentFormat))),
+            D: D.map(row => row.map(value => this.formatNumber(value, currentFormat))),
+            LLatex: this.matrixToLatex(L),
+            DLatex: this.matrixToLatex(D),
+            leadingMinors: minors.map(minor => this.formatNumber(minor, currentFormat)),
+            isPositiveDefinite: positive === n,
+            inertia: { positive, negative: n - positive },
+            verified,
+            steps
+        };
+    }
+    
+    /**
+     * 转换输入并检查是否为对称（埃尔米特）方阵
+     * @param {Array<Array<number|string>>} matrix - 输入矩阵
+     * @param {string} name - 分解名称（用于错误信息）
+     * @returns {Array<Array>} 已转换类型的矩阵
+     */
+    prepareSymmetricMatrix(matrix, name) {
+        // 输入验证
+        if (!matrix || !Array.isArray(matrix) || matrix.length === 0) {
+            throw new Error('矩阵不能为空');
+        }
+        if (!Array.isArray(matrix[0]) || matrix[0].length === 0) {
+            throw new Error('矩阵不是有效的二维数组');
+        }
+        if (matrix.length !== matrix[0].length) {
+            throw new Error(`只能对方阵进行${name}分解`);
+        }
+        if (this.field.type === 'mod') {
+            throw new Error(`有限域上没有正定性，无法进行${name}分解`);
+        }
+        
+        const processedMatrix = matrix.map(row => row.map(value => this.convertToAppropriateType(value)));
+        if (!this.matricesEqual(processedMatrix, this.conjugateTranspose(processedMatrix))) {
+            throw new Error(`只能对对称（埃尔米特）矩阵进行${name}分解`);
+        }
+        return processedMatrix;
+    }
+    
+    /**
+     * 对称消元（不选主元）：第 j 步以 d_j 为主元消去下方元素，乘数 l_ij 记入 L，
+     * 遇到零主元时停止；第 k 阶顺序主子式 Δk = d1·d2·…·dk
+     * @param {Array<Array>} matrix - 已转换类型的对称矩阵
+     * @param {Array<Object>} steps - 步骤数组
+     * @returns {Object} { L, pivots, minors }，pivots 为已求出的主元
+     */
+    symmetricElimination(matrix, steps) {
+        const n = matrix.length;
+        const U = this.copyMatrix(matrix);
+        const L = this.createIdentityMatrix(n).map(row => row.map(value => this.convertToAppropriateType(value)));
+        const pivots = [];
+        const minors = [];
+        
+        steps.push({
+            matrix: this.copyMatrix(U),
+            description: '输入矩阵'
+        });
+        
+        for (let j = 0; j < n; j++) {
+            const pivot = U[j][j];
+            minors.push(this.multiplyValues(j === 0 ? 1 : minors[j - 1], pivot));
+            if (this.isZero(pivot)) {
+                steps.push({
+                    matrix: null,
+                    description: `第 ${j+1} 个主元为0，顺序主子式 Δ${j+1} = 0，消元中止`
+                });
+                break;
+            }
+            pivots.push(pivot);
+            
+            for (let i = j + 1; i < n; i++) {
+                if (this.isZero(U[i][j])) {
+                    continue;
+                }
+                const factor = this.divideValues(U[i][j], pivot);
+                L[i][j] = factor;
+                for (let k = j; k < n; k++) {
+                    U[i][k] = this.subtractValues(U[i][k], this.multiplyValues(factor, U[j][k]));
+                }
+                steps.push({
+                    matrix: this.copyMatrix(U),
+                    description: `第 ${i+1} 行减去第 ${j+1} 行的 ${this.formatNumber(factor)} 倍（l${i+1}${j+1} = ${this.formatNumber(factor)}）`
+                });
+            }
+            
+            steps.push({
+                matrix: null,
+                description: `主元 d${j+1} = ${this.formatNumber(pivot)}，顺序主子式 Δ${j+1} = ${this.formatNumber(minors[j])}`
+            });
+        }
+        
+        return { L, pivots, minors };
+    }
+    
+    /**
+     * 实部的符号（埃尔米特矩阵的主元是虚部为0的复数）
+     * @param {number|Fraction|ComplexNumber} value - 输入值
+     * @returns {number} -1、0 或 1
+     */
+    realSign(value) {
+        const real = value instanceof ComplexNumber ? value.real : value;
+        return real instanceof Fraction ? real.sign() : Math.sign(real);
+    }
+    
+    /**
+     * 判断两个矩阵是否相等（逐元素相减判零）
+     * @param {Array<Array>} matrix1 - 第一个矩阵
+     * @param {Array<Array>} matrix2 - 第二个矩阵
+     * @returns {boolean} 是否相等
+     */
+    matricesEqual(matrix1, matrix2) {
+        return matrix1.every((row, i) => row.every((value, j) =>
+            this.isZero(this.subtractValues(value, matrix2[i][j]))));
     }
     
     /**
      * 解线性方程组
      * @param {Array<Array<number|string>>} matrix - 系数矩阵
      * @param {Array<number|string>} vector - 常数项向量
+     * @param {Object} options - 选项
+     * @param {boolean|Object} options.leastSquares - 方程组无解时是否附带最小二乘解（传入对象时作为 solveLeastSquares 的选项）
      * @returns {Object} 包含解和步骤的对象
      */
-    solveEquations(matrix, vector) {
+    solveEquations(matrix, vector, options = {}) {
         // 输入验证
         if (!matrix || !Array.isArray(matrix) || matrix.length === 0) {
             throw new Error('系数矩阵不能为空');
@@ -826,6 +4414,7 @@ class MatrixOperations {
         if (m !== vector.length) {
             throw new Error('系数矩阵的行数与常数项向量的长度不匹配');
         }
+        this.assertDivisionField();
         
         const steps = [];
         
@@ -836,7 +4425,7 @@ class MatrixOperations {
         steps.push({
             matrix: processedMatrix,
             vector: processedVector,
-            description: '输入系数矩阵和常数项向量'
+            description: '输入系数矩阵和常数项向量' + this.describeField()
         });
         
         // 构造增广矩阵
@@ -885,6 +4474,7 @@ class MatrixOperations {
         let solution = null;
         let particularSolution = null;
         let basis = [];
+        let leastSquares = null;
         
         if (rankA < rankAugmented) {
             // 无解
@@ -893,6 +4483,15 @@ class MatrixOperations {
                 matrix: null,
                 description: '方程组无解'
             });
+            
+            if (options.leastSquares) {
+                leastSquares = this.solveLeastSquares(matrix, vector, options.leastSquares === true ? {} : options.leastSquares);
+                steps.push({
+                    matrix: null,
+                    description: '改求最小二乘解'
+                });
+                steps.push(...leastSquares.steps);
+            }
         } else if (rankA === rankAugmented && rankA === n) {
             // 唯一解
             type = 'unique';
@@ -936,16 +4535,642 @@ class MatrixOperations {
             solution: formatVector(solution),
             particularSolution: formatVector(particularSolution),
             basis: formatBasis(),
+            leastSquares,
+            steps
+        };
+    }
+    
+    /**
+     * 解矩阵方程 AX = B（side 为 'left'）或 XA = B（side 为 'right'）
+     * 对 [A|B] 只做一次行化简，逐列判断 AXⱼ = Bⱼ 是否有解；XA = B 转置为 AᵀXᵀ = Bᵀ 求解。
+     * 有无穷多解时 X = X₀ + N·T，N 的列为 Ax = 0 的基础解系，T 为任意参数矩阵
+     * @param {Array<Array<number|string>>} A - 系数矩阵
+     * @param {Array<Array<number|string>>} B - 右端矩阵
+     * @param {Object} options - 选项
+     * @param {string} options.side - 'left'（默认，AX = B）或 'right'（XA = B）
+     * @returns {Object} 包含解的类型、各列是否有解、X（或特解 X₀ 与基础解系）和步骤的对象
+     */
+    solveMatrixEquation(A, B, options = {}) {
+        const side = options.side || 'left';
+        
+        // 输入验证
+        if (!A || !Array.isArray(A) || A.length === 0 || !Array.isArray(A[0]) || A[0].length === 0) {
+            throw new Error('系数矩阵不能为空');
+        }
+        if (!B || !Array.isArray(B) || B.length === 0 || !Array.isArray(B[0]) || B[0].length === 0) {
+            throw new Error('右端矩阵不能为空');
+        }
+        if (!['left', 'right'].includes(side)) {
+            throw new Error(`未知的矩阵方程类型：${side}`);
+        }
+        if (side === 'left' && A.length !== B.length) {
+            throw new Error('AX = B 要求 A 与 B 的行数相同');
+        }
+        if (side === 'right' && A[0].length !== B[0].length) {
+            throw new Error('XA = B 要求 A 与 B 的列数相同');
+        }
+        this.assertDivisionField();
+        
+        const steps = [];
+        const currentFormat = this.getFormatType();
+        const formatMatrix = mat => mat.map(row => row.map(value => this.formatNumber(value, currentFormat)));
+        let coefficient = A.map(row => row.map(value => this.convertToAppropriateType(value)));
+        let rhs = B.map(row => row.map(value => this.convertToAppropriateType(value)));
+        const equation = side === 'left' ? 'AX = B' : 'XA = B';
+        
+        steps.push({
+            matrix: coefficient,
+            description: `解矩阵方程 ${equation}，系数矩阵 A` + this.describeField()
+        });
+        steps.push({
+            matrix: rhs,
+            description: '右端矩阵 B'
+        });
+        if (side === 'right') {
+            // XA = B 两边转置得 AᵀXᵀ = Bᵀ
+            coefficient = this.transpose(coefficient);
+            rhs = this.transpose(rhs);
+            steps.push({
+                matrix: null,
+                description: 'XA = B 两边取转置得 AᵀXᵀ = Bᵀ，下面对 [Aᵀ|Bᵀ] 行化简求 Xᵀ'
+            });
+        }
+        
+        const m = coefficient.length;
+        const n = coefficient[0].length;
+        const p = rhs[0].length;
+        const augmented = coefficient.map((row, i) => [...row, ...rhs[i]]);
+        const name = side === 'left' ? '[A|B]' : '[Aᵀ|Bᵀ]';
+        steps.push({
+            matrix: augmented,
+            description: `构造增广矩阵 ${name}`
+        });
+        
+        const rref = this.reduceToRowEchelon(augmented);
+        const coefficientRref = rref.map(row => row.slice(0, n));
+        const rank = this.calculateRank(coefficientRref);
+        steps.push({
+            matrix: rref,
+            description: `对 ${name} 行化简（只需一次），系数部分的秩为 ${rank}`
+        });
+        
+        // 第 j 列有解当且仅当零行在右端第 j 列也为零
+        const columnConsistency = Array.from({ length: p }, (_, j) => ({
+            column: j + 1,
+            consistent: rref.every((row, i) => i < rank || this.isZero(row[n + j]))
+        }));
+        const consistent = columnConsistency.every(column => column.consistent);
+        const unknown = side === 'left' ? 'X' : 'Xᵀ';
+        steps.push({
+            matrix: null,
+            description: columnConsistency.map(({ column, consistent: ok }) =>
+                `第 ${column} 列：${ok ? '有解' : '无解'}`).join('；')
+        });
+        
+        if (!consistent) {
+            const failing = columnConsistency.filter(column => !column.consistent).map(column => column.column);
+            steps.push({
+                matrix: null,
+                description: `右端第 ${failing.join('、')} 列对应的方程组无解，矩阵方程 ${equation} 无解`
+            });
+            return { side, type: 'inconsistent', rank, columnConsistency, X: null, nullSpaceBasis: [], steps };
+        }
+        
+        // 特解：自由未知量取零，主元未知量取行最简形右端的值
+        const pivotColumns = this.findPivotColumns(coefficientRref);
+        const zero = this.convertToAppropriateType(0);
+        const particular = Array.from({ length: n }, () => new Array(p).fill(zero));
+        pivotColumns.forEach((column, i) => {
+            for (let j = 0; j < p; j++) {
+                particular[column][j] = rref[i][n + j];
+            }
+        });
+        const nullBasis = this.nullSpaceBasis(coefficientRref).map(vector =>
+            vector.map(value => this.convertToAppropriateType(value)));
+        const X = side === 'left' ? particular : this.transpose(particular);
+        const type = nullBasis.length === 0 ? 'unique' : 'infinite';
+        
+        steps.push({
+            matrix: particular,
+            description: type === 'unique'
+                ? `系数部分列满秩，${unknown} 由行最简形的右端部分唯一确定`
+                : `自由未知量取零，得特解 ${unknown}₀`
+        });
+        if (side === 'right') {
+            steps.push({
+                matrix: X,
+                description: type === 'unique' ? '转置得 X' : '转置得特解 X₀'
+            });
+        }
+        
+        let generalSolution;
+        if (type === 'unique') {
+            generalSolution = '矩阵方程有唯一解';
+        } else {
+            const N = Array.from({ length: n }, (_, i) => nullBasis.map(vector => vector[i]));
+            steps.push({
+                matrix: N,
+                description: `系数矩阵的零空间维数为 ${nullBasis.length}，以基础解系为列构成 N`
+            });
+            generalSolution = side === 'left'
+                ? `X = X₀ + N·T，T 为任意 ${nullBasis.length}×${p} 矩阵`
+                : `X = X₀ + T·Nᵀ，T 为任意 ${p}×${nullBasis.length} 矩阵`;
+            steps.push({
+                matrix: null,
+                description: `矩阵方程有无穷多解：${generalSolution}`
+            });
+        }
+        
+        return {
+            side,
+            type,
+            rank,
+            columnConsistency,
+            X: formatMatrix(X),
+            XLatex: this.matrixToLatex(X),
+            nullSpaceBasis: nullBasis.map(vector => vector.map(value => this.formatNumber(value, currentFormat))),
+            generalSolution,
+            steps
+        };
+    }
+    
+    /**
+     * 克拉默法则解 n 元线性方程组：xᵢ = det(Aᵢ) / det(A)，Aᵢ 为把 A 的第 i 列换成 b 得到的矩阵
+     * det(A) = 0 时克拉默法则不适用，改用消元法判断方程组是无解还是有无穷多解
+     * @param {Array<Array<number|string>>} matrix - 系数矩阵（方阵）
+     * @param {Array<number|string>} vector - 常数项向量
+     * @returns {Object} 包含是否适用、各行列式、解和步骤的对象
+     */
+    solveByCramer(matrix, vector) {
+        // 输入验证
+        if (!matrix || !Array.isArray(matrix) || matrix.length === 0) {
+            throw new Error('系数矩阵不能为空');
+        }
+        if (!vector || !Array.isArray(vector) || vector.length === 0) {
+            throw new Error('常数项向量不能为空');
+        }
+        if (!Array.isArray(matrix[0]) || matrix[0].length === 0) {
+            throw new Error('系数矩阵不是有效的二维数组');
+        }
+        
+        const n = matrix.length;
+        if (n !== matrix[0].length) {
+            throw new Error('克拉默法则只适用于方程个数与未知数个数相等的方程组');
+        }
+        if (n !== vector.length) {
+            throw new Error('系数矩阵的行数与常数项向量的长度不匹配');
+        }
+        this.assertDivisionField();
+        
+        const steps = [];
+        const currentFormat = this.getFormatType();
+        const processedMatrix = matrix.map(row => row.map(value => this.convertToAppropriateType(value)));
+        const processedVector = vector.map(value => this.convertToAppropriateType(value));
+        
+        const determinant = this.calculateDeterminant(processedMatrix).result;
+        const detText = this.formatNumber(determinant, currentFormat);
+        steps.push({
+            matrix: processedMatrix,
+            vector: processedVector,
+            description: `系数矩阵 A 的行列式 det(A) = ${detText}` + this.describeField()
+        });
+        
+        if (this.isZero(determinant)) {
+            // 克拉默法则失效，用消元法给出解的情况
+            const fallback = this.solveEquations(matrix, vector);
+            const reason = 'det(A) = 0，克拉默法则不适用；' + (fallback.type === 'inconsistent'
+                ? `rank(A) = ${fallback.rankA} < rank([A|b]) = ${fallback.rankAugmented}，方程组无解`
+                : `rank(A) = rank([A|b]) = ${fallback.rankA} < ${n}，方程组有无穷多解`);
+            steps.push({
+                matrix: null,
+                description: reason
+            });
+            steps.push(...fallback.steps);
+            
+            return {
+                applicable: false,
+                reason,
+                determinant: detText,
+                determinants: [],
+                solution: null,
+                fallback,
+                steps
+            };
+        }
+        
+        const determinants = [];
+        const solution = [];
+        // 负数和复数作除数时加括号
+        const divisorText = /[+-]/.test(detText) ? `(${detText})` : detText;
+        for (let i = 0; i < n; i++) {
+            const replaced = processedMatrix.map((row, r) => row.map((value, c) => (c === i ? processedVector[r] : value)));
+            const detI = this.calculateDeterminant(replaced).result;
+            const x = this.divideValues(detI, determinant);
+            determinants.push(detI);
+            solution.push(x);
+            
+            const detIText = this.formatNumber(detI, currentFormat);
+            steps.push({
+                matrix: replaced,
+                description: `将 A 的第 ${i+1} 列换成 b 得 A${i+1}，det(A${i+1}) = ${detIText}，` +
+                    `x${i+1} = det(A${i+1}) / det(A) = ${detIText} / ${divisorText} = ${this.formatNumber(x, currentFormat)}`
+            });
+        }
+        
+        return {
+            applicable: true,
+            reason: `det(A) = ${detText} ≠ 0，方程组有唯一解`,
+            determinant: detText,
+            determinants: determinants.map(value => this.formatNumber(value, currentFormat)),
+            solution: solution.map(value => this.formatNumber(value, currentFormat)),
+            solutionLatex: this.vectorToLatex(solution),
+            fallback: null,
+            steps
+        };
+    }
+    
+    /**
+     * 最小二乘解：求使 ‖Ax - b‖ 最小的 x，适用于无解（矛盾）的方程组
+     * normal 方法精确求解法方程 AᴴAx = Aᴴb；qr 方法用豪斯霍尔德QR分解解 Rx = Qᵀb（浮点运算）。
+     * A 列不满秩时最小二乘解不唯一，返回其中范数最小的 x = A⁺b
+     * @param {Array<Array<number|string>>} matrix - 系数矩阵
+     * @param {Array<number|string>} vector - 常数项向量
+     * @param {Object} options - 选项
+     * @param {string} options.method - 'normal'（默认）或 'qr'；A 列不满秩或含复数时放弃QR，原因见 fallbackReason
+     * @returns {Object} 包含最小二乘解、残差向量、残差范数和步骤的对象
+     */
+    solveLeastSquares(matrix, vector, options = {}) {
+        const method = options.method || 'normal';
+        
+        // 输入验证
+        if (!matrix || !Array.isArray(matrix) || matrix.length === 0) {
+            throw new Error('系数矩阵不能为空');
+        }
+        if (!vector || !Array.isArray(vector) || vector.length === 0) {
+            throw new Error('常数项向量不能为空');
+        }
+        if (!Array.isArray(matrix[0]) || matrix[0].length === 0) {
+            throw new Error('系数矩阵不是有效的二维数组');
+        }
+        if (matrix.length !== vector.length) {
+            throw new Error('系数矩阵的行数与常数项向量的长度不匹配');
+        }
+        if (!['normal', 'qr'].includes(method)) {
+            throw new Error(`未知的最小二乘方法：${method}`);
+        }
+        if (this.field.type === 'mod') {
+            throw new Error('有限域上没有内积，无法求最小二乘解');
+        }
+        
+        const n = matrix[0].length;
+        const steps = [];
+        const A = matrix.map(row => row.map(value => this.convertToAppropriateType(value)));
+        const b = vector.map(value => this.convertToAppropriateType(value));
+        const multiply = (X, Y) => this.multiplyMatrices(X, Y).rawResult;
+        const rank = this.findPivotColumns(this.reduceToRowEchelon(A)).length;
+        const fullColumnRank = rank === n;
+        
+        steps.push({
+            matrix: A,
+            vector: b,
+            description: `最小二乘问题 min ‖Ax - b‖，rank(A) = ${rank}` +
+                (fullColumnRank ? '，A 列满秩，最小二乘解唯一' : `，A 列不满秩（n = ${n}），最小二乘解不唯一`)
+        });
+        
+        const isComplex = [...A.flat(), ...b].some(value => value instanceof ComplexNumber);
+        let useQR = method === 'qr';
+        let fallbackReason = null;
+        if (useQR && (!fullColumnRank || isComplex)) {
+            // 放弃QR时单独说明原因，调用方据此解释返回的 method 为何与请求的不同
+            useQR = false;
+            fallbackReason = isComplex
+                ? 'A 含复数，QR方法只支持实矩阵，改用法方程求解'
+                : `A 列不满秩（rank(A) = ${rank} < ${n}），R 不可逆，改用广义逆求最小范数解`;
+            steps.push({
+                matrix: null,
+                description: `放弃QR方法：${fallbackReason}`
+            });
+        }
+        
+        let solution;
+        if (useQR) {
+            const floats = A.map(row => row.map(value => (value instanceof Fraction ? value.toFloat() : value)));
+            const floatB = b.map(value => (value instanceof Fraction ? value.toFloat() : value));
+            const { Q, R, steps: qrSteps } = this.householderQR(floats);
+            steps.push(...qrSteps);
+            
+            // 回代求解 Rx = Qᵀb
+            const qtb = Q[0].map((_, j) => Q.reduce((sum, row, i) => sum + row[j] * floatB[i], 0));
+            solution = new Array(n).fill(0);
+            for (let i = n - 1; i >= 0; i--) {
+                let sum = qtb[i];
+                for (let j = i + 1; j < n; j++) {
+                    sum -= R[i][j] * solution[j];
+                }
+                solution[i] = sum / R[i][i];
+            }
+            steps.push({
+                matrix: null,
+                vector: solution,
+                description: '回代求解 Rx = Qᵀb'
+            });
+        } else {
+            const AH = this.conjugateTranspose(A);
+            const normalMatrix = multiply(AH, A);
+            const normalVector = multiply(AH, b.map(value => [value])).map(row => row[0]);
+            steps.push({
+                matrix: normalMatrix,
+                vector: normalVector,
+                description: '法方程 AᴴAx = Aᴴb 的系数矩阵 AᴴA 与常数项 Aᴴb'
+            });
+            
+            if (fullColumnRank) {
+                // AᴴA 可逆，法方程有唯一解
+                const rref = this.reduceToRowEchelon(normalMatrix.map((row, i) => [...row, normalVector[i]]));
+                solution = this.extractSolution(rref);
+                steps.push({
+                    matrix: rref,
+                    description: '将法方程的增广矩阵化为行最简形，得唯一解'
+                });
+            } else {
+                const pseudo = this.pseudoInverse(A);
+                steps.push(...pseudo.steps);
+                solution = multiply(pseudo.rawPseudoInverse, b.map(value => [value])).map(row => row[0]);
+                steps.push({
+                    matrix: null,
+                    vector: solution,
+                    description: '最小范数最小二乘解 x = A⁺b（其余最小二乘解为 x 加上 Ax = 0 的任意解）'
+                });
+            }
+        }
+        
+        // 残差 r = b - Ax
+        const product = useQR
+            ? A.map(row => row.reduce((sum, value, j) => sum + (value instanceof Fraction ? value.toFloat() : value) * solution[j], 0))
+            : multiply(A, solution.map(value => [value])).map(row => row[0]);
+        const residual = b.map((value, i) => this.subtractValues(useQR && value instanceof Fraction ? value.toFloat() : value, product[i]));
+        const residualNorm = this.vectorNorm(residual);
+        
+        const currentFormat = this.getFormatType();
+        const format = value => (useQR ? this.formatApproximateComplex(value, 0) : this.formatNumber(value, currentFormat));
+        const toLatex = vec => (useQR ? '\\begin{pmatrix}' + vec.map(format).join('\\\\') + '\\end{pmatrix}' : this.vectorToLatex(vec));
+        steps.push({
+            matrix: null,
+            vector: residual,
+            description: `残差 r = b - Ax，‖r‖ = ${format(residualNorm)}`
+        });
+        
+        return {
+            method: useQR ? 'qr' : 'normal',
+            fallbackReason,
+            rank,
+            minimumNorm: !fullColumnRank,
+            solution: solution.map(format),
+            residual: residual.map(format),
+            residualNorm: format(residualNorm),
+            solutionLatex: toLatex(solution),
+            residualLatex: toLatex(residual),
+            residualNormLatex: useQR ? format(residualNorm) : this.numberToLatex(residualNorm),
+            steps
+        };
+    }
+    
+    /**
+     * 迭代法解线性方程组（浮点运算，只支持实方程组）：雅可比、高斯–赛德尔、逐次超松弛（SOR）和共轭梯度法。
+     * 迭代前先检查严格对角占优和迭代矩阵的谱半径（共轭梯度法检查对称正定），
+     * 当残差 ‖b - Ax‖₂ ≤ tolerance·‖b‖₂（b = 0 时 ≤ tolerance）时认为收敛
+     * @param {Array<Array<number|string>>} matrix - 系数矩阵（方阵）
+     * @param {Array<number|string>} vector - 常数项向量
+     * @param {Object} options - 选项
+     * @param {string} options.method - 'jacobi'（默认）、'gauss-seidel'、'sor' 或 'cg'（也可写作 'conjugate-gradient'）
+     * @param {number} options.tolerance - 相对残差阈值（正数），默认 1e-10
+     * @param {number} options.maxIterations - 最大迭代次数（正整数），默认 100
+     * @param {Array<number|string>} options.initialGuess - 初始向量，默认零向量
+     * @param {number} options.omega - SOR 的松弛因子，0 < ω < 2，默认 1.25
+     * @returns {Object} 包含迭代历史、各步残差、收敛判断和步骤的对象
+     * @throws {Error} 方法未知、参数不合法或在有限域上调用时抛出
+     */
+    solveIteratively(matrix, vector, options = {}) {
+        const method = options.method === 'conjugate-gradient' ? 'cg' : (options.method || 'jacobi');
+        const tolerance = options.tolerance !== undefined ? Number(options.tolerance) : 1e-10;
+        const maxIterations = options.maxIterations !== undefined ? Number(options.maxIterations) : 100;
+        const omega = options.omega !== undefined ? Number(options.omega) : 1.25;
+        const methodNames = {
+            'jacobi': '雅可比迭代',
+            'gauss-seidel': '高斯–赛德尔迭代',
+            'sor': `逐次超松弛迭代（ω = ${omega}）`,
+            'cg': '共轭梯度法'
+        };
+        
+        // 输入验证
+        if (!matrix || !Array.isArray(matrix) || matrix.length === 0) {
+            throw new Error('系数矩阵不能为空');
+        }
+        if (!vector || !Array.isArray(vector) || vector.length === 0) {
+            throw new Error('常数项向量不能为空');
+        }
+        const n = matrix.length;
+        if (!Array.isArray(matrix[0]) || matrix[0].length !== n) {
+            throw new Error('迭代法只适用于系数矩阵为方阵的方程组');
+        }
+        if (vector.length !== n) {
+            throw new Error('系数矩阵的行数与常数项向量的长度不匹配');
+        }
+        if (!methodNames[method]) {
+            throw new Error(`未知的迭代方法：${method}`);
+        }
+        if (method === 'sor' && !(omega > 0 && omega < 2)) {
+            throw new Error('SOR 的松弛因子必须满足 0 < ω < 2');
+        }
+        if (!Number.isFinite(tolerance) || tolerance <= 0) {
+            throw new Error('收敛阈值必须是正数');
+        }
+        if (!Number.isInteger(maxIterations) || maxIterations <= 0) {
+            throw new Error('最大迭代次数必须是正整数');
+        }
+        if (this.field.type === 'mod') {
+            throw new Error('有限域上没有范数，无法使用迭代法');
+        }
+        
+        const exactMatrix = matrix.map(row => row.map(value => this.convertToAppropriateType(value)));
+        const exactVector = vector.map(value => this.convertToAppropriateType(value));
+        if ([...exactMatrix.flat(), ...exactVector].some(value => value instanceof ComplexNumber)) {
+            throw new Error('迭代法只支持实方程组');
+        }
+        const toFloat = value => (value instanceof Fraction ? value.toFloat() : value);
+        const A = exactMatrix.map(row => row.map(toFloat));
+        const b = exactVector.map(toFloat);
+        let x = options.initialGuess
+            ? options.initialGuess.map(value => toFloat(this.convertToAppropriateType(value)))
+            : new Array(n).fill(0);
+        if (x.length !== n) {
+            throw new Error('初始向量的维数与未知数个数不匹配');
+        }
+        
+        const steps = [];
+        const format = value => this.formatApproximateComplex(value, 0);
+        const norm = v => Math.hypot(...v);
+        const residualOf = v => b.map((value, i) => value - A[i].reduce((sum, a, j) => sum + a * v[j], 0));
+        
+        steps.push({
+            matrix: A,
+            vector: b,
+            description: `用${methodNames[method]}求解 Ax = b`
+        });
+        
+        // 收敛性的预先判断
+        const diagonallyDominant = A.every((row, i) =>
+            Math.abs(row[i]) > row.reduce((sum, value, j) => (j === i ? sum : sum + Math.abs(value)), 0));
+        let spectralRadius = null;
+        let positiveDefinite = null;
+        const checks = [diagonallyDominant ? 'A 严格对角占优' : 'A 不是严格对角占优'];
+        
+        if (method === 'cg') {
+            const symmetric = this.matricesEqual(exactMatrix, this.transpose(exactMatrix));
+            positiveDefinite = symmetric && this.choleskyDecomposition(exactMatrix).isPositiveDefinite;
+            checks.push(positiveDefinite
+                ? 'A 对称正定，共轭梯度法在精确运算下至多 n 步收敛'
+                : `A ${symmetric ? '不是正定矩阵' : '不对称'}，共轭梯度法不保证收敛`);
+        } else {
+            const zeroDiagonal = A.findIndex((row, i) => row[i] === 0);
+            if (zeroDiagonal !== -1) {
+                throw new Error(`系数矩阵的对角元 a${zeroDiagonal+1}${zeroDiagonal+1} 为零，无法使用${methodNames[method]}`);
+            }
+            const B = this.iterationMatrix(A, method, omega);
+            const polynomial = this.berkowitz(B).map(c => [c, 0]);
+            spectralRadius = Math.max(...this.durandKerner(polynomial).map(([re, im]) => Math.hypot(re, im)));
+            steps.push({
+                matrix: B,
+                description: `迭代矩阵 B（x⁽ᵏ⁺¹⁾ = Bx⁽ᵏ⁾ + f），谱半径 ρ(B) = ${format(spectralRadius)}`
+            });
+            if (diagonallyDominant && method !== 'sor') {
+                checks.push(`严格对角占优保证${methodNames[method]}收敛`);
+            }
+            checks.push(spectralRadius < 1 ? 'ρ(B) < 1，迭代对任意初始向量收敛' : 'ρ(B) ≥ 1，迭代一般不收敛');
+        }
+        steps.push({
+            matrix: null,
+            description: checks.join('；')
+        });
+        
+        // 迭代
+        const bNorm = norm(b);
+        const threshold = bNorm > 0 ? tolerance * bNorm : tolerance;
+        const history = [{ iteration: 0, x: [...x], residualNorm: norm(residualOf(x)) }];
+        let converged = history[0].residualNorm <= threshold;
+        let r = residualOf(x);
+        let p = [...r];
+        
+        for (let k = 1; k <= maxIterations && !converged; k++) {
+            if (method === 'cg') {
+                const Ap = A.map(row => row.reduce((sum, a, j) => sum + a * p[j], 0));
+                const rr = r.reduce((sum, value) => sum + value * value, 0);
+                const pAp = p.reduce((sum, value, i) => sum + value * Ap[i], 0);
+                if (pAp === 0) {
+                    break;
+                }
+                const alpha = rr / pAp;
+                x = x.map((value, i) => value + alpha * p[i]);
+                r = r.map((value, i) => value - alpha * Ap[i]);
+                const beta = r.reduce((sum, value) => sum + value * value, 0) / rr;
+                p = r.map((value, i) => value + beta * p[i]);
+            } else {
+                // 雅可比用上一步的全部分量；高斯–赛德尔和 SOR 立即使用本步已更新的分量
+                const previous = [...x];
+                const source = method === 'jacobi' ? previous : x;
+                for (let i = 0; i < n; i++) {
+                    const sum = A[i].reduce((acc, a, j) => (j === i ? acc : acc + a * source[j]), 0);
+                    const gaussSeidel = (b[i] - sum) / A[i][i];
+                    x[i] = method === 'sor' ? (1 - omega) * previous[i] + omega * gaussSeidel : gaussSeidel;
+                }
+            }
+            
+            const residualNorm = norm(residualOf(x));
+            history.push({ iteration: k, x: [...x], residualNorm });
+            converged = residualNorm <= threshold;
+            if (!Number.isFinite(residualNorm)) {
+                break;
+            }
+        }
+        
+        const iterations = history.length - 1;
+        steps.push({
+            matrix: history.map(entry => [entry.iteration, ...entry.x, entry.residualNorm]),
+            description: `迭代表：每行依次为 k, x1, …, x${n}, ‖b - Ax⁽ᵏ⁾‖₂`
+        });
+        
+        const verdict = converged
+            ? `经过 ${iterations} 次迭代收敛，残差 ‖b - Ax‖₂ = ${format(history[iterations].residualNorm)}`
+            : `迭代 ${iterations} 次后仍未达到精度要求，` +
+                (spectralRadius !== null && spectralRadius >= 1 ? `ρ(B) = ${format(spectralRadius)} ≥ 1，迭代发散` : '可增大最大迭代次数后重试');
+        steps.push({
+            matrix: null,
+            vector: x,
+            description: verdict
+        });
+        
+        return {
+            method,
+            converged,
+            iterations,
+            solution: x.map(format),
+            history: history.map(entry => ({
+                iteration: entry.iteration,
+                x: entry.x.map(format),
+                residualNorm: entry.residualNorm
+            })),
+            residualNorms: history.map(entry => entry.residualNorm),
+            diagonallyDominant,
+            spectralRadius,
+            positiveDefinite,
+            verdict,
             steps
         };
     }
     
+    /**
+     * 定常迭代法的迭代矩阵（浮点数），记 A = D + L + U（对角、严格下三角、严格上三角）：
+     * 雅可比 B = -D⁻¹(L + U)，高斯–赛德尔 B = -(D + L)⁻¹U，SOR B = (D + ωL)⁻¹((1 - ω)D - ωU)
+     * @param {Array<Array<number>>} A - 浮点系数矩阵，对角元非零
+     * @param {string} method - 'jacobi'、'gauss-seidel' 或 'sor'
+     * @param {number} omega - SOR 的松弛因子
+     * @returns {Array<Array<number>>} 迭代矩阵 B
+     */
+    iterationMatrix(A, method, omega) {
+        const n = A.length;
+        const w = method === 'sor' ? omega : 1;
+        // 迭代格式 Mx⁽ᵏ⁺¹⁾ = Nx⁽ᵏ⁾ + ωb，M = D + ωL（雅可比取 D），N = (1 - ω)D - ωU（雅可比取 -(L + U)）
+        const M = A.map((row, i) => row.map((value, j) => {
+            if (j === i) return value;
+            return j < i && method !== 'jacobi' ? w * value : 0;
+        }));
+        const N = A.map((row, i) => row.map((value, j) => {
+            if (j === i) return (1 - w) * value;
+            return j > i || method === 'jacobi' ? -w * value : 0;
+        }));
+        
+        // 前代求解 MB = N
+        const B = Array.from({ length: n }, () => new Array(n).fill(0));
+        for (let col = 0; col < n; col++) {
+            for (let i = 0; i < n; i++) {
+                let sum = N[i][col];
+                for (let k = 0; k < i; k++) {
+                    sum -= M[i][k] * B[k][col];
+                }
+                B[i][col] = sum / M[i][i];
+            }
+        }
+        return B;
+    }
+    
     /**
      * 高斯消元法
      * @param {Array<Array<number|Fraction>>} matrix - 输入矩阵
      * @returns {Array<Array<number|Fraction>>} 消元后的矩阵
+     * @throws {Error} 模数不是素数时抛出
      */
     gaussianElimination(matrix) {
+        this.assertDivisionField();
         const m = matrix.length;
         const n = matrix[0].length;
         const result = this.copyMatrix(matrix);
@@ -954,12 +5179,7 @@ class MatrixOperations {
             // 寻找主元
             let pivotRow = i;
             for (let j = i; j < m; j++) {
-                const currentAbs = result[j][i] instanceof Fraction ? 
-                    Math.abs(result[j][i].toFloat()) : Math.abs(result[j][i]);
-                const pivotAbs = result[pivotRow][i] instanceof Fraction ? 
-                    Math.abs(result[pivotRow][i].toFloat()) : Math.abs(result[pivotRow][i]);
-                
-                if (currentAbs > pivotAbs) {
+                if (this.compareAbs(result[j][i], result[pivotRow][i]) > 0) {
                     pivotRow = j;
                 }
             }
@@ -977,18 +5197,10 @@ class MatrixOperations {
             
             // 消去下方元素
             for (let j = i + 1; j < m; j++) {
-                const factor = result[j][i] instanceof Fraction ? 
-                    result[j][i].divide(pivot) : result[j][i] / pivot;
+                const factor = this.divideValues(result[j][i], pivot);
                 
                 for (let k = i; k < n; k++) {
-                    if (result[j][k] instanceof Fraction && result[i][k] instanceof Fraction && factor instanceof Fraction) {
-                        result[j][k] = result[j][k].subtract(factor.multiply(result[i][k]));
-                    } else {
-                        result[j][k] -= factor * result[i][k];
-                        if (this.useFractions) {
-                            result[j][k] = this.toFraction(result[j][k]);
-                        }
-                    }
+                    result[j][k] = this.subtractValues(result[j][k], this.multiplyValues(factor, result[i][k]));
                 }
             }
         }
@@ -1000,8 +5212,10 @@ class MatrixOperations {
      * 将矩阵转换为行阶梯形
      * @param {Array<Array<number|Fraction>>} matrix - 输入矩阵
      * @returns {Array<Array<number|Fraction>>} 行阶梯形矩阵
+     * @throws {Error} 模数不是素数时抛出（消元需要除以主元）
      */
     reduceToRowEchelon(matrix) {
+        this.assertDivisionField();
         const m = matrix.length;
         const n = matrix[0].length;
         const result = this.copyMatrix(matrix);
@@ -1032,14 +5246,7 @@ class MatrixOperations {
             // 归一化主元行
             const pivot = result[i][pivotCol];
             for (let j = pivotCol; j < n; j++) {
-                if (result[i][j] instanceof Fraction && pivot instanceof Fraction) {
-                    result[i][j] = result[i][j].divide(pivot);
-                } else {
-                    result[i][j] /= pivot;
-                    if (this.useFractions) {
-                        result[i][j] = this.toFraction(result[i][j]);
-                    }
-                }
+                result[i][j] = this.divideValues(result[i][j], pivot);
             }
             
             // 消去其他行的当前列元素
@@ -1047,14 +5254,7 @@ class MatrixOperations {
                 if (j !== i && !this.isZero(result[j][pivotCol])) {
                     const factor = result[j][pivotCol];
                     for (let k = pivotCol; k < n; k++) {
-                        if (result[j][k] instanceof Fraction && result[i][k] instanceof Fraction && factor instanceof Fraction) {
-                            result[j][k] = result[j][k].subtract(factor.multiply(result[i][k]));
-                        } else {
-                            result[j][k] -= factor * result[i][k];
-                            if (this.useFractions) {
-                                result[j][k] = this.toFraction(result[j][k]);
-                            }
-                        }
+                        result[j][k] = this.subtractValues(result[j][k], this.multiplyValues(factor, result[i][k]));
                     }
                 }
             }
@@ -1067,10 +5267,12 @@ class MatrixOperations {
     
     /**
      * 计算矩阵的秩
-     * @param {Array<Array<number|Fraction>>} matrix - 输入矩阵
+     * @param {Array<Array<number|Fraction>>} matrix - 输入矩阵（已化为行阶梯形）
      * @returns {number} 矩阵的秩
+     * @throws {Error} 模数不是素数时抛出（Z/nZ 上秩没有良好定义）
      */
     calculateRank(matrix) {
+        this.assertDivisionField();
         let rank = 0;
         const m = matrix.length;
         const n = matrix[0].length;
@@ -1093,17 +5295,44 @@ class MatrixOperations {
     
     /**
      * 判断值是否为零
-     * @param {number|Fraction} value - 输入值
+     * @param {number|Fraction|Surd|ComplexNumber} value - 输入值
      * @returns {boolean} 是否为零
      */
     isZero(value) {
-        if (value instanceof Fraction) {
-            return value.numerator === 0;
+        if (value instanceof ComplexNumber || value instanceof ModInteger) {
+            return value.isZero();
+        } else if (value instanceof Fraction || value instanceof Surd) {
+            return value.sign() === 0;
         } else {
             return Math.abs(value) < 1e-10;
         }
     }
     
+    /**
+     * 比较两个值的绝对值（用于选主元，分数之间精确比较，复数比较模长）
+     * @param {number|Fraction|Surd|ComplexNumber} a - 第一个值
+     * @param {number|Fraction|Surd|ComplexNumber} b - 第二个值
+     * @returns {number} 大于0表示 |a| > |b|，等于0表示相等，小于0表示 |a| < |b|
+     */
+    compareAbs(a, b) {
+        if (a instanceof ModInteger || b instanceof ModInteger) {
+            // 有限域中没有大小之分，任意非零元都可作主元
+            return (this.isZero(a) ? 0 : 1) - (this.isZero(b) ? 0 : 1);
+        }
+        if (a instanceof ComplexNumber || b instanceof ComplexNumber) {
+            // 复数比较模的平方，避免开方
+            return this.compareAbs(ComplexNumber.from(a).normSquared(), ComplexNumber.from(b).normSquared());
+        }
+        if (a instanceof Surd || b instanceof Surd) {
+            const [x, y] = this.promoteValues(a, b);
+            return Math.abs(x.toFloat()) - Math.abs(y.toFloat());
+        }
+        if (a instanceof Fraction || b instanceof Fraction) {
+            return this.toFraction(a).abs().compareTo(this.toFraction(b).abs());
+        }
+        return Math.abs(a) - Math.abs(b);
+    }
+    
     /**
      * 提取解
      * @param {Array<Array<number|Fraction>>} rref - 行阶梯形矩阵
@@ -1122,14 +5351,7 @@ class MatrixOperations {
             let sum = rref[i][n];
             for (let j = pivotIndex + 1; j < n; j++) {
                 if (!this.isZero(solution[j])) {
-                    if (sum instanceof Fraction && rref[i][j] instanceof Fraction && solution[j] instanceof Fraction) {
-                        sum = sum.subtract(rref[i][j].multiply(solution[j]));
-                    } else {
-                        sum -= rref[i][j] * solution[j];
-                        if (this.useFractions) {
-                            sum = this.toFraction(sum);
-                        }
-                    }
+                    sum = this.subtractValues(sum, this.multiplyValues(rref[i][j], solution[j]));
                 }
             }
             
@@ -1183,7 +5405,7 @@ class MatrixOperations {
             for (let i = 0; i < m; i++) {
                 const pivotIndex = rref[i].findIndex(val => !this.isZero(val));
                 if (pivotIndex !== -1 && pivotIndex < n && pivotIndex !== freeVar) {
-                    basis[pivotIndex] = -rref[i][freeVar];
+                    basis[pivotIndex] = this.negateValue(rref[i][freeVar]);
                 }
             }
             
@@ -1217,14 +5439,66 @@ class MatrixOperations {
     }
     
     /**
-     * 计算线性关系
-     * @param {Array<Array<number|Fraction>>} vectors - 向量组
+     * 计算线性关系：向量按列排成矩阵后化为行最简形，非主元列 k 的第 i 个元素
+     * 就是 αₖ 用第 i 个主元列对应向量线性表示时的系数
+     * @param {Array<Array<number|Fraction>>} vectors - 向量组（已转换类型）
      * @param {Array<number>} pivotColumns - 主元列索引
-     * @returns {Array<Array<number|Fraction>>} 线性关系
+     * @returns {Array<Object>} 每个非主元向量一项 { index, coefficients }，α[index] = Σ coefficients[j]·α[j]
      */
     calculateLinearRelation(vectors, pivotColumns) {
-        // 实现线性关系的计算
-        return [];
+        const rref = this.reduceToRowEchelon(this.transpose(vectors));
+        const zero = this.convertToAppropriateType(0);
+        const relations = [];
+        
+        for (let k = 0; k < vectors.length; k++) {
+            if (pivotColumns.includes(k)) {
+                continue;
+            }
+            const coefficients = new Array(vectors.length).fill(zero);
+            pivotColumns.forEach((column, i) => {
+                coefficients[column] = rref[i][k];
+            });
+            relations.push({ index: k, coefficients });
+        }
+        
+        return relations;
+    }
+    
+    /**
+     * 线性组合 Σ cⱼ·αⱼ 的文本或LaTeX形式，省略零系数，系数 ±1 只写符号，文本中的分数系数加括号
+     * @param {Array<number|Fraction|ComplexNumber>} coefficients - 系数
+     * @param {boolean} latex - 是否输出LaTeX
+     * @param {string} symbol - 向量记号
+     * @returns {string} 如 "2α1 - α2"，全为零时为 "0"
+     */
+    formatLinearCombination(coefficients, latex = false, symbol = 'α') {
+        const currentFormat = this.getFormatType();
+        const name = j => (latex ? `${symbol === 'α' ? '\\alpha' : symbol}_{${j+1}}` : `${symbol}${j+1}`);
+        let text = '';
+        
+        coefficients.forEach((value, j) => {
+            if (this.isZero(value)) {
+                return;
+            }
+            // 虚部非零的复数加括号；有限域中的元素没有正负之分
+            const compound = value instanceof ComplexNumber && !value.isReal();
+            const negative = !compound && !(value instanceof ModInteger) && this.realSign(value) < 0;
+            const magnitude = negative ? this.negateValue(value) : value;
+            let coefficient = latex ? this.numberToLatex(magnitude) : this.formatNumber(magnitude, currentFormat);
+            if (compound || (!latex && coefficient.includes('/'))) {
+                coefficient = `(${coefficient})`;
+            } else if (coefficient === '1') {
+                coefficient = '';
+            }
+            
+            if (text === '') {
+                text = (negative ? '-' : '') + coefficient + name(j);
+            } else {
+                text += (negative ? ' - ' : ' + ') + coefficient + name(j);
+            }
+        });
+        
+        return text || '0';
     }
     
     /**
@@ -1233,8 +5507,7 @@ class MatrixOperations {
      * @returns {string} LaTeX字符串
      */
     vectorToLatex(vector) {
-        const formatType = this.getFormatType();
-        const formatted = vector.map(v => this.formatNumber(v, formatType));
+        const formatted = vector.map(v => this.numberToLatex(v));
         return '\\begin{pmatrix}' + formatted.join('\\\\') + '\\end{pmatrix}';
     }
     
@@ -1244,22 +5517,27 @@ class MatrixOperations {
      * @returns {string} LaTeX字符串
      */
     matrixToLatex(matrix) {
-        const formatType = this.getFormatType();
         const formatted = matrix.map(row => 
-            row.map(col => this.formatNumber(col, formatType)).join(' & ')
+            row.map(col => this.numberToLatex(col)).join(' & ')
         );
         return '\\begin{pmatrix}' + formatted.join('\\\\') + '\\end{pmatrix}';
     }
     
     /**
      * 数字格式化为LaTeX
-     * @param {number|string} num - 输入数字
-     * @returns {string} LaTeX字符串
+     * @param {number|string|Fraction|Surd} num - 输入数字
+     * @returns {string} LaTeX字符串，如 \frac{1}{2}、\frac{\sqrt{3}}{3}
      */
     numberToLatex(num) {
         const formatType = this.getFormatType();
+        if (num instanceof Surd && formatType === 'rational' && this.useFractions) {
+            return num.toLatex();
+        }
+        if (num instanceof ComplexNumber) {
+            return num.toString(part => this.numberToLatex(part));
+        }
         const formatted = this.formatNumber(num, formatType);
-        return formatted.replace(/\//g, '\\\\frac{');
+        return formatted.replace(/^(-?)(\d+)\/(\d+)$/, '$1\\frac{$2}{$3}');
     }
     
     /**
@@ -1308,7 +5586,7 @@ class MatrixOperations {
      * 矩阵乘法
      * @param {Array<Array<number|string>>} matrix1 - 第一个矩阵
      * @param {Array<Array<number|string>>} matrix2 - 第二个矩阵
-     * @returns {Object} 包含结果矩阵和步骤的对象
+     * @returns {Object} 包含结果矩阵（格式化字符串）、rawResult（未格式化的值）和步骤的对象
      */
     multiplyMatrices(matrix1, matrix2) {
         // 输入验证
@@ -1368,21 +5646,8 @@ class MatrixOperations {
         for (let i = 0; i < rows1; i++) {
             for (let j = 0; j < cols2; j++) {
                 for (let k = 0; k < cols1; k++) {
-                    let product;
-                    if (processedMatrix1[i][k] instanceof Fraction && processedMatrix2[k][j] instanceof Fraction) {
-                        product = processedMatrix1[i][k].multiply(processedMatrix2[k][j]);
-                    } else {
-                        product = processedMatrix1[i][k] * processedMatrix2[k][j];
-                        if (this.useFractions) {
-                            product = this.toFraction(product);
-                        }
-                    }
-
-                    if (result[i][j] instanceof Fraction && product instanceof Fraction) {
-                        result[i][j] = result[i][j].add(product);
-                    } else {
-                        result[i][j] += product;
-                    }
+                    const product = this.multiplyValues(processedMatrix1[i][k], processedMatrix2[k][j]);
+                    result[i][j] = this.addValues(result[i][j], product);
                 }
             }
         }
@@ -1397,14 +5662,440 @@ class MatrixOperations {
 
         return {
             result: formatMatrixForDisplay(result),
+            rawResult: result,
             steps
         };
     }
 
+    /**
+     * LU 分解（列主元）：求置换矩阵 P、单位下三角矩阵 L 和上三角矩阵 U，使 PA = LU
+     * @param {Array<Array<number|string>>} matrix - 输入方阵
+     * @returns {Object} 包含 P、L、U（格式化字符串及 LaTeX）、置换、是否奇异和步骤的对象，
+     *                   rawL、rawU、permutation 供 solveWithLU 复用
+     */
+    luDecomposition(matrix) {
+        // 输入验证
+        if (!matrix || !Array.isArray(matrix) || matrix.length === 0) {
+            throw new Error('矩阵不能为空');
+        }
+        if (!Array.isArray(matrix[0]) || matrix[0].length === 0) {
+            throw new Error('矩阵不是有效的二维数组');
+        }
+        
+        const n = matrix.length;
+        if (n !== matrix[0].length) {
+            throw new Error('只能对方阵进行LU分解');
+        }
+        this.assertDivisionField();
+        
+        const steps = [];
+        const U = matrix.map(row => row.map(value => this.convertToAppropriateType(value)));
+        const L = this.createIdentityMatrix(n).map(row => row.map(value => this.convertToAppropriateType(value)));
+        const permutation = Array.from({ length: n }, (_, i) => i);
+        let isSingular = false;
+        
+        steps.push({
+            matrix: this.copyMatrix(U),
+            description: `初始矩阵 A，令 L = I${this.describeField()}`
+        });
+        
+        for (let i = 0; i < n; i++) {
+            // 寻找主元
+            let pivotRow = i;
+            for (let j = i; j < n; j++) {
+                if (this.compareAbs(U[j][i], U[pivotRow][i]) > 0) {
+                    pivotRow = j;
+                }
+            }
+            
+            // 交换行，L 中已求出的乘数随之交换
+            if (pivotRow !== i) {
+                [U[i], U[pivotRow]] = [U[pivotRow], U[i]];
+                [permutation[i], permutation[pivotRow]] = [permutation[pivotRow], permutation[i]];
+                for (let k = 0; k < i; k++) {
+                    [L[i][k], L[pivotRow][k]] = [L[pivotRow][k], L[i][k]];
+                }
+                steps.push({
+                    matrix: this.copyMatrix(U),
+                    description: `交换第 ${i+1} 行和第 ${pivotRow+1} 行（L 中已求出的乘数同时交换）`
+                });
+            }
+            
+            const pivot = U[i][i];
+            if (this.isZero(pivot)) {
+                // 该列主元以下全为零，无需消元，U 的对角元为 0
+                isSingular = true;
+                continue;
+            }
+            
+            // 消去下方元素，乘数记入 L
+            for (let j = i + 1; j < n; j++) {
+                if (this.isZero(U[j][i])) {
+                    continue;
+                }
+                const factor = this.divideValues(U[j][i], pivot);
+                L[j][i] = factor;
+                for (let k = i; k < n; k++) {
+                    U[j][k] = this.subtractValues(U[j][k], this.multiplyValues(factor, U[i][k]));
+                }
+                steps.push({
+                    matrix: this.copyMatrix(U),
+                    description: `乘数 l${j+1}${i+1} = ${this.formatNumber(factor)}：第 ${j+1} 行减去第 ${i+1} 行的 ${this.formatNumber(factor)} 倍`
+                });
+            }
+        }
+        
+        const P = permutation.map(index =>
+            Array.from({ length: n }, (_, j) => this.convertToAppropriateType(j === index ? 1 : 0)));
+        steps.push({ matrix: P, description: '置换矩阵 P' });
+        steps.push({ matrix: this.copyMatrix(L), description: '单位下三角矩阵 L（对角线以下为各步乘数）' });
+        steps.push({ matrix: this.copyMatrix(U), description: `上三角矩阵 U，PA = LU${isSingular ? '（U 的对角元含0，矩阵奇异）' : ''}` });
+        
+        // 格式化结果矩阵用于输出
+        const formatMatrixForDisplay = (mat) => {
+            const currentFormat = this.getFormatType();
+            return mat.map(row => 
+                row.map(value => this.formatNumber(value, currentFormat))
+            );
+        };
+        
+        return {
+            P: formatMatrixForDisplay(P),
+            L: formatMatrixForDisplay(L),
+            U: formatMatrixForDisplay(U),
+            PLatex: this.matrixToLatex(P),
+            LLatex: this.matrixToLatex(L),
+            ULatex: this.matrixToLatex(U),
+            isSingular,
+            permutation,
+            rawL: L,
+            rawU: U,
+            steps
+        };
+    }
+    
+    /**
+     * 利用已有的 LU 分解求解 Ax = b：先解 Ly = Pb（前代），再解 Ux = y（回代）
+     * @param {Object} factorization - luDecomposition 的返回值
+     * @param {Array<number|string>|Array<Array<number|string>>} rightHandSides - 一个右端向量或多个右端向量
+     * @returns {Object} 包含各右端向量对应的解（格式化字符串）和步骤的对象
+     */
+    solveWithLU(factorization, rightHandSides) {
+        if (!factorization || !factorization.rawL || !factorization.rawU) {
+            throw new Error('请先调用 luDecomposition 得到LU分解');
+        }
+        if (factorization.isSingular) {
+            throw new Error('矩阵奇异（U 的对角元含0），无法用LU分解求唯一解');
+        }
+        
+        const { rawL: L, rawU: U, permutation } = factorization;
+        const n = L.length;
+        const vectors = Array.isArray(rightHandSides[0]) ? rightHandSides : [rightHandSides];
+        const currentFormat = this.getFormatType();
+        const steps = [];
+        
+        const solutions = vectors.map((vector, index) => {
+            if (vector.length !== n) {
+                throw new Error(`第 ${index+1} 个右端向量的维数应为 ${n}`);
+            }
+            const b = vector.map(value => this.convertToAppropriateType(value));
+            const label = vectors.length > 1 ? `b${index+1}` : 'b';
+            
+            // 前代：Ly = Pb
+            const y = [];
+            for (let i = 0; i < n; i++) {
+                let sum = b[permutation[i]];
+                for (let j = 0; j < i; j++) {
+                    sum = this.subtractValues(sum, this.multiplyValues(L[i][j], y[j]));
+                }
+                y.push(sum);
+            }
+            steps.push({
+                matrix: [y],
+                description: `前代求解 Ly = P${label}，得 y`
+            });
+            
+            // 回代：Ux = y
+            const x = new Array(n);
+            for (let i = n - 1; i >= 0; i--) {
+                let sum = y[i];
+                for (let j = i + 1; j < n; j++) {
+                    sum = this.subtractValues(sum, this.multiplyValues(U[i][j], x[j]));
+                }
+                x[i] = this.divideValues(sum, U[i][i]);
+            }
+            steps.push({
+                matrix: [x],
+                description: `回代求解 Ux = y，得 ${label} 对应的解 x`
+            });
+            
+            return x.map(value => this.formatNumber(value, currentFormat));
+        });
+        
+        return {
+            solutions,
+            steps
+        };
+    }
+    
+    /**
+     * Moore–Penrose 广义逆：由满秩分解 A = CF（C 为 A 的主元列，F 为行最简形的非零行）得
+     * A⁺ = Fᴴ(FFᴴ)⁻¹(CᴴC)⁻¹Cᴴ，分数模式下结果精确
+     * @param {Array<Array<number|string>>} matrix - 任意 m×n 矩阵
+     * @returns {Object} 包含广义逆、秩、验证结果和步骤的对象
+     */
+    pseudoInverse(matrix) {
+        // 输入验证
+        if (!matrix || !Array.isArray(matrix) || matrix.length === 0) {
+            throw new Error('矩阵不能为空');
+        }
+        if (!Array.isArray(matrix[0]) || matrix[0].length === 0) {
+            throw new Error('矩阵不是有效的二维数组');
+        }
+        if (this.field.type === 'mod') {
+            throw new Error('有限域上没有共轭转置，无法计算 Moore–Penrose 广义逆');
+        }
+        
+        const m = matrix.length;
+        const n = matrix[0].length;
+        const steps = [];
+        const processedMatrix = matrix.map(row => row.map(value => this.convertToAppropriateType(value)));
+        const rref = this.reduceToRowEchelon(processedMatrix);
+        const pivotColumns = this.findPivotColumns(rref);
+        const rank = pivotColumns.length;
+        const formatMatrix = mat => mat.map(row => row.map(value => this.formatNumber(value, this.getFormatType())));
+        
+        steps.push({
+            matrix: rref,
+            description: `化为行最简形，秩 r = ${rank}`
+        });
+        
+        let result;
+        if (rank === 0) {
+            result = Array.from({ length: n }, () => new Array(m).fill(this.convertToAppropriateType(0)));
+            steps.push({ matrix: result, description: '零矩阵的广义逆为零矩阵' });
+        } else {
+            const C = processedMatrix.map(row => pivotColumns.map(j => row[j]));
+            const F = rref.slice(0, rank);
+            steps.push({
+                matrix: C,
+                description: `满秩分解 A = CF：C 取 A 的第 ${pivotColumns.map(j => j + 1).join('、')} 列`
+            });
+            steps.push({
+                matrix: F,
+                description: 'F 取行最简形的非零行'
+            });
+            
+            const FH = this.conjugateTranspose(F);
+            const CH = this.conjugateTranspose(C);
+            const multiply = (X, Y) => this.multiplyMatrices(X, Y).rawResult;
+            const inverse = X => this.calculateInverse(X).rawInverse;
+            result = multiply(multiply(FH, inverse(multiply(F, FH))), multiply(inverse(multiply(CH, C)), CH));
+            steps.push({
+                matrix: result,
+                description: 'A⁺ = Fᴴ(FFᴴ)⁻¹(CᴴC)⁻¹Cᴴ'
+            });
+        }
+        
+        // 验证 Penrose 方程 AA⁺A = A
+        const multiply = (X, Y) => this.multiplyMatrices(X, Y).rawResult;
+        const verified = this.matricesEqual(multiply(multiply(processedMatrix, result), processedMatrix), processedMatrix);
+        steps.push({
+            matrix: null,
+            description: verified ? '验证：AA⁺A = A' : '验证失败：AA⁺A ≠ A'
+        });
+        
+        return {
+            pseudoInverse: formatMatrix(result),
+            pseudoInverseLatex: this.matrixToLatex(result),
+            rank,
+            rawPseudoInverse: result,
+            verified,
+            steps
+        };
+    }
+    
+    /**
+     * 奇异值分解 A = UΣVᵀ（数值计算，单边 Jacobi 方法，只支持实矩阵）
+     * 返回薄SVD：k = min(m, n)，U 为 m×k，Σ 为 k×k，Vᵀ 为 k×n
+     * @param {Array<Array<number|string>>} matrix - 任意 m×n 实矩阵
+     * @param {Object} options - 选项
+     * @param {number} options.tolerance - 判定奇异值为零的阈值，默认 max(m, n)·σ₁·ε
+     * @returns {Object} 包含 U、Σ、Vᵀ、奇异值、数值秩、重构误差和步骤的对象
+     */
+    svd(matrix, options = {}) {
+        // 输入验证
+        if (!matrix || !Array.isArray(matrix) || matrix.length === 0) {
+            throw new Error('矩阵不能为空');
+        }
+        if (!Array.isArray(matrix[0]) || matrix[0].length === 0) {
+            throw new Error('矩阵不是有效的二维数组');
+        }
+        if (this.field.type === 'mod') {
+            throw new Error('有限域上无法进行奇异值分解');
+        }
+        
+        const processedMatrix = matrix.map(row => row.map(value => this.convertToAppropriateType(value)));
+        if (processedMatrix.some(row => row.some(value => value instanceof ComplexNumber))) {
+            throw new Error('奇异值分解只支持实矩阵');
+        }
+        const A = processedMatrix.map(row => row.map(value => (value instanceof Fraction ? value.toFloat() : value)));
+        const m = A.length;
+        const n = A[0].length;
+        const steps = [{ matrix: A, description: '输入矩阵 A（浮点运算）' }];
+        
+        // 行数少于列数时对 Aᵀ 分解再转置回来
+        const transposed = m < n;
+        const { U, sigma, V, sweeps } = this.oneSidedJacobi(transposed ? this.transpose(A) : A);
+        steps.push({
+            matrix: null,
+            description: `单边 Jacobi 旋转 ${sweeps} 轮后各列两两正交，列范数即为奇异值`
+        });
+        
+        const [left, right] = transposed ? [V, U] : [U, V];
+        const k = sigma.length;
+        const tolerance = options.tolerance !== undefined
+            ? options.tolerance
+            : Math.max(m, n) * (sigma[0] || 0) * Number.EPSILON;
+        const rank = sigma.filter(value => value > tolerance).length;
+        const S = sigma.map((value, i) => sigma.map((_, j) => (i === j ? value : 0)));
+        const VT = this.transpose(right);
+        
+        steps.push({ matrix: left, description: 'U（左奇异向量为列）' });
+        steps.push({ matrix: S, description: 'Σ（奇异值按从大到小排列）' });
+        steps.push({ matrix: VT, description: 'Vᵀ（右奇异向量为行）' });
+        steps.push({
+            matrix: null,
+            description: `阈值 ${tolerance.toExponential(2)} 以上的奇异值有 ${rank} 个，数值秩为 ${rank}`
+        });
+        
+        // 重构误差 max|A - UΣVᵀ|
+        let reconstructionError = 0;
+        for (let i = 0; i < m; i++) {
+            for (let j = 0; j < n; j++) {
+                let sum = 0;
+                for (let l = 0; l < k; l++) {
+                    sum += left[i][l] * sigma[l] * VT[l][j];
+                }
+                reconstructionError = Math.max(reconstructionError, Math.abs(A[i][j] - sum));
+            }
+        }
+        
+        const formatMatrix = mat => mat.map(row => row.map(value => this.formatApproximateComplex(value, 0)));
+        return {
+            U: formatMatrix(left),
+            S: formatMatrix(S),
+            VT: formatMatrix(VT),
+            singularValues: sigma.map(value => String(Number(value.toPrecision(this.precision)))),
+            rank,
+            tolerance,
+            reconstructionError,
+            steps
+        };
+    }
+    
+    /**
+     * 数值秩：大于阈值的奇异值个数
+     * @param {Array<Array<number|string>>} matrix - 实矩阵
+     * @param {number} tolerance - 阈值，省略时取 max(m, n)·σ₁·ε
+     * @returns {Object} 包含数值秩、奇异值和所用阈值的对象
+     */
+    numericRank(matrix, tolerance) {
+        const result = this.svd(matrix, { tolerance });
+        return {
+            rank: result.rank,
+            singularValues: result.singularValues,
+            tolerance: result.tolerance
+        };
+    }
+    
+    /**
+     * 单边 Jacobi 方法：对列做平面旋转直到两两正交，A·V = U·Σ
+     * @param {Array<Array<number>>} A - m×n 浮点矩阵（m ≥ n）
+     * @returns {Object} { U, sigma, V, sweeps }，奇异值从大到小排列
+     */
+    oneSidedJacobi(A) {
+        const m = A.length;
+        const n = A[0].length;
+        const W = this.transpose(A); // 按列存储
+        const V = this.transpose(this.createIdentityMatrix(n));
+        const dot = (x, y) => x.reduce((sum, value, i) => sum + value * y[i], 0);
+        
+        let sweeps = 0;
+        for (let rotated = true; rotated && sweeps < 60; sweeps++) {
+            rotated = false;
+            for (let p = 0; p < n - 1; p++) {
+                for (let q = p + 1; q < n; q++) {
+                    const alpha = dot(W[p], W[p]);
+                    const beta = dot(W[q], W[q]);
+                    const gamma = dot(W[p], W[q]);
+                    if (Math.abs(gamma) <= 1e-15 * Math.sqrt(alpha * beta) || gamma === 0) {
+                        continue;
+                    }
+                    rotated = true;
+                    const zeta = (beta - alpha) / (2 * gamma);
+                    const t = Math.sign(zeta || 1) / (Math.abs(zeta) + Math.sqrt(1 + zeta * zeta));
+                    const c = 1 / Math.sqrt(1 + t * t);
+                    const s = c * t;
+                    for (const X of [W, V]) {
+                        const [xp, xq] = [X[p], X[q]];
+                        X[p] = xp.map((value, i) => c * value - s * xq[i]);
+                        X[q] = xp.map((value, i) => s * value + c * xq[i]);
+                    }
+                }
+            }
+        }
+        
+        // 按奇异值从大到小排序
+        const order = W.map((column, j) => ({ j, sigma: Math.sqrt(dot(column, column)) }))
+            .sort((a, b) => b.sigma - a.sigma);
+        const sigma = order.map(item => item.sigma);
+        const scale = sigma[0] || 1;
+        const columns = [];
+        for (const { j, sigma: value } of order) {
+            if (value > scale * 1e-14) {
+                columns.push(W[j].map(x => x / value));
+            } else {
+                // 零奇异值对应的左奇异向量取已有列的正交补
+                columns.push(this.orthonormalComplementVector(columns, m));
+            }
+        }
+        
+        return {
+            U: this.transpose(columns),
+            sigma,
+            V: this.transpose(order.map(({ j }) => V[j])),
+            sweeps
+        };
+    }
+    
+    /**
+     * 求与已有单位正交向量组正交的一个单位向量（依次用标准基向量做施密特正交化）
+     * @param {Array<Array<number>>} vectors - 单位正交向量组
+     * @param {number} dimension - 向量维数
+     * @returns {Array<number>} 单位向量
+     */
+    orthonormalComplementVector(vectors, dimension) {
+        let best = null;
+        for (let i = 0; i < dimension; i++) {
+            let u = Array.from({ length: dimension }, (_, k) => (k === i ? 1 : 0));
+            for (const v of vectors) {
+                const projection = v.reduce((sum, value, k) => sum + value * u[k], 0);
+                u = u.map((value, k) => value - projection * v[k]);
+            }
+            const norm = Math.hypot(...u);
+            if (!best || norm > best.norm) {
+                best = { u, norm };
+            }
+        }
+        return best.u.map(value => value / best.norm);
+    }
+    
     /**
      * 矩阵求逆
      * @param {Array<Array<number|string>>} matrix - 输入矩阵
-     * @returns {Object} 包含逆矩阵和步骤的对象
+     * @returns {Object} 包含逆矩阵（格式化字符串）、rawInverse（未格式化的值）和步骤的对象；
+     *                   矩阵奇异时 isInvertible 为 false，并给出 Moore–Penrose 广义逆 pseudoInverse
      */
     calculateInverse(matrix) {
         // 输入验证
@@ -1419,6 +6110,7 @@ class MatrixOperations {
         if (n !== matrix[0].length) {
             throw new Error('只能计算方阵的逆矩阵');
         }
+        this.assertDivisionField();
 
         const steps = [];
         const augMatrix = [];
@@ -1432,7 +6124,7 @@ class MatrixOperations {
 
         steps.push({
             matrix: this.copyMatrix(augMatrix),
-            description: `构造增广矩阵 [A|I]`
+            description: `构造增广矩阵 [A|I]${this.describeField()}`
         });
 
         // 高斯-约旦消元
@@ -1440,12 +6132,7 @@ class MatrixOperations {
             // 寻找主元
             let pivotRow = i;
             for (let j = i; j < n; j++) {
-                const currentAbs = augMatrix[j][i] instanceof Fraction ? 
-                    Math.abs(augMatrix[j][i].toFloat()) : Math.abs(augMatrix[j][i]);
-                const pivotAbs = augMatrix[pivotRow][i] instanceof Fraction ? 
-                    Math.abs(augMatrix[pivotRow][i].toFloat()) : Math.abs(augMatrix[pivotRow][i]);
-                
-                if (currentAbs > pivotAbs) {
+                if (this.compareAbs(augMatrix[j][i], augMatrix[pivotRow][i]) > 0) {
                     pivotRow = j;
                 }
             }
@@ -1462,18 +6149,25 @@ class MatrixOperations {
             // 归一化主元行
             const pivot = augMatrix[i][i];
             if (this.isZero(pivot)) {
-                throw new Error('矩阵不可逆（行列式为0）');
+                if (this.field.type === 'mod') {
+                    throw new Error('矩阵不可逆（行列式为0）');
+                }
+                // 奇异矩阵没有逆矩阵，改为给出 Moore–Penrose 广义逆
+                steps.push({
+                    matrix: null,
+                    description: `第 ${i+1} 列找不到非零主元，矩阵不可逆（行列式为0），改求 Moore–Penrose 广义逆 A⁺`
+                });
+                const pseudo = this.pseudoInverse(matrix);
+                return {
+                    isInvertible: false,
+                    inverse: null,
+                    pseudoInverse: pseudo.pseudoInverse,
+                    steps: [...steps, ...pseudo.steps]
+                };
             }
 
             for (let j = 0; j < 2 * n; j++) {
-                if (augMatrix[i][j] instanceof Fraction && pivot instanceof Fraction) {
-                    augMatrix[i][j] = augMatrix[i][j].divide(pivot);
-                } else {
-                    augMatrix[i][j] /= pivot;
-                    if (this.useFractions) {
-                        augMatrix[i][j] = this.toFraction(augMatrix[i][j]);
-                    }
-                }
+                augMatrix[i][j] = this.divideValues(augMatrix[i][j], pivot);
             }
 
             steps.push({
@@ -1486,24 +6180,8 @@ class MatrixOperations {
                 if (j !== i) {
                     const factor = augMatrix[j][i];
                     for (let k = 0; k < 2 * n; k++) {
-                        let product;
-                        if (factor instanceof Fraction && augMatrix[i][k] instanceof Fraction) {
-                            product = factor.multiply(augMatrix[i][k]);
-                        } else {
-                            product = factor * augMatrix[i][k];
-                            if (this.useFractions) {
-                                product = this.toFraction(product);
-                            }
-                        }
-                        
-                        if (augMatrix[j][k] instanceof Fraction && product instanceof Fraction) {
-                            augMatrix[j][k] = augMatrix[j][k].subtract(product);
-                        } else {
-                            augMatrix[j][k] -= product;
-                            if (this.useFractions) {
-                                augMatrix[j][k] = this.toFraction(augMatrix[j][k]);
-                            }
-                        }
+                        const product = this.multiplyValues(factor, augMatrix[i][k]);
+                        augMatrix[j][k] = this.subtractValues(augMatrix[j][k], product);
                     }
                     
                     steps.push({
@@ -1531,6 +6209,7 @@ class MatrixOperations {
         return {
             isInvertible: true,
             inverse: formatMatrixForDisplay(inverseMatrix),
+            rawInverse: inverseMatrix,
             steps
         };
     }
@@ -1539,9 +6218,12 @@ class MatrixOperations {
 // 只支持CommonJS和浏览器全局导出
 if (typeof module !== 'undefined' && module.exports) {
     // CommonJS 导出
-    module.exports = { MatrixOperations, Fraction };
+    module.exports = { MatrixOperations, Fraction, Surd, ComplexNumber, ModInteger };
 } else if (typeof window !== 'undefined') {
     // 浏览器全局导出
     window.MatrixOperations = MatrixOperations;
     window.Fraction = Fraction;
+    window.Surd = Surd;
+    window.ComplexNumber = ComplexNumber;
+    window.ModInteger = ModInteger;
 }
\ No newline at end of file
@@ -1,4 +1,4 @@
-const { MatrixOperations, Fraction } = require('./lib/matrix-operations.js');
+const { MatrixOperations, Fraction, Surd, ComplexNumber } = require('./lib/matrix-operations.js');
 
 console.log('=== 高级代数计算器完整测试套件 ===\n');
 
@@ -31,9 +31,794 @@ function testFraction() {
     // 转小数测试
     console.log(`   转小数: 1/2 = ${f1.toFloat()}`);
     
+    // 科学计数法的指数须有上限，过大的指数直接报错而不构造巨大整数
+    if (new Fraction('2.5e-3').toString() !== '1/400') {
+        throw new Error('科学计数法解析错误');
+    }
+    let exponentError = '';
+    try {
+        new Fraction('1e999999999');
+    } catch (error) {
+        exponentError = error.message;
+    }
+    console.log(`   1e999999999: ${exponentError}`);
+    if (!exponentError.includes('指数')) {
+        throw new Error('过大的指数未被拒绝');
+    }
+    
     console.log('   ✅ Fraction类测试通过\n');
 }
 
+// 测试大整数分数（BigInt自动提升）
+function testBigFraction() {
+    console.log('1.1 测试大整数分数：');
+    
+    const big = new Fraction('9007199254740993'); // 2^53 + 1
+    const square = big.multiply(big);
+    console.log(`   (2^53+1)^2 = ${square}`);
+    if (square.toString() !== (9007199254740993n * 9007199254740993n).toString()) {
+        throw new Error('大整数乘法结果不精确');
+    }
+    
+    const back = square.divide(big).subtract(big);
+    console.log(`   (2^53+1)^2 ÷ (2^53+1) - (2^53+1) = ${back}`);
+    if (back.numerator !== 0) {
+        throw new Error('大整数运算后未能降级为普通整数');
+    }
+    
+    // 8阶希尔伯特矩阵的行列式分母远超2^53
+    const matrixOps = new MatrixOperations();
+    const hilbert = Array.from({ length: 8 }, (_, i) =>
+        Array.from({ length: 8 }, (_, j) => `1/${i + j + 1}`));
+    const det = matrixOps.calculateDeterminant(hilbert).formattedResult;
+    console.log(`   det(H8) = ${det}`);
+    if (det !== '1/365356847125734485878112256000000') {
+        throw new Error('希尔伯特矩阵行列式不精确');
+    }
+    
+    console.log('   ✅ 大整数分数测试通过\n');
+}
+
+// 测试二次根式与精确施密特正交化
+function testSurd() {
+    console.log('1.2 测试二次根式：');
+    
+    const root12 = Surd.sqrt(12);
+    console.log(`   √12 = ${root12}`);
+    if (root12.toString() !== '2√3') {
+        throw new Error('√12 未化简为 2√3');
+    }
+    
+    const matrixOps = new MatrixOperations();
+    matrixOps.setFormatType('fraction');
+    const result = matrixOps.schmidtOrthonormalization([['1', '1', '1'], ['1', '0', '1']]);
+    console.log('   e1 =', JSON.stringify(result.orthonormal[0]));
+    console.log('   e1 (LaTeX) =', result.orthonormalLatex[0][0]);
+    if (result.orthonormalLatex[0][0] !== '\\frac{\\sqrt{3}}{3}') {
+        throw new Error('单位向量未以精确根式输出');
+    }
+    
+    // 大的无平方因子被开方数不做全量试除；剩余部分为完全平方数时仍能提出
+    const started = Date.now();
+    const large = new Surd(1, 1000000007n * 1000000009n);
+    const squared = new Surd(1, 3n * 1000000007n ** 2n);
+    if (Date.now() - started > 1000 || squared.toString() !== '1000000007√3' || large.isRational()) {
+        throw new Error('大被开方数化简错误');
+    }
+    
+    // 大于 1000 的素因子的平方也须提出，保持根式的最简形式
+    const reduced = new Surd(1, 1009n * 1009n * 1013n);
+    if (reduced.toString() !== '1009√1013' || !reduced.subtract(new Surd(1009, 1013)).isZero()) {
+        throw new Error('大素因子平方未提出');
+    }
+    
+    console.log('   ✅ 二次根式测试通过\n');
+}
+
+// 测试复数域上的矩阵运算
+function testComplex() {
+    console.log('1.3 测试复数矩阵：');
+    
+    const matrixOps = new MatrixOperations();
+    const A = [['1+2i', '3/4 - i'], ['i', '2']];
+    const det = matrixOps.calculateDeterminant(A).formattedResult;
+    console.log(`   det(A) = ${det}`);
+    if (det !== '1+(13/4)i') {
+        throw new Error('复数行列式计算错误');
+    }
+    if (new ComplexNumber(det).toString() !== det || new ComplexNumber(det).toLatex() !== '1+\\frac{13}{4}i') {
+        throw new Error('复数分数虚部格式化错误');
+    }
+    
+    const inverse = matrixOps.calculateInverse(A).inverse;
+    const identity = matrixOps.multiplyMatrices(A, inverse).result;
+    console.log('   A × A⁻¹ =', JSON.stringify(identity));
+    if (JSON.stringify(identity) !== JSON.stringify([['1', '0'], ['0', '1']])) {
+        throw new Error('复数逆矩阵计算错误');
+    }
+    
+    // Hermite内积下的施密特正交化
+    const schmidt = matrixOps.schmidtOrthonormalization([['1', 'i'], ['1', '1']]);
+    console.log('   u2 =', JSON.stringify(schmidt.orthogonal[1]));
+    // ⟨v2, u1⟩/⟨u1, u1⟩ = (1-i)/2，u2 = v2 - (1-i)/2·u1；不取共轭会得到错误的系数 (1+i)/2
+    const u1 = schmidt.rawOrthonormal[0];
+    if (JSON.stringify(schmidt.orthogonal[1]) !== JSON.stringify(['1/2+(1/2)i', '1/2-(1/2)i']) ||
+        !matrixOps.isZero(matrixOps.innerProduct(schmidt.rawOrthonormal[1], u1))) {
+        throw new Error('复向量施密特正交化错误');
+    }
+    
+    console.log('   ✅ 复数矩阵测试通过\n');
+}
+
+// 测试有限域GF(p)上的运算
+function testFiniteField() {
+    console.log('1.4 测试有限域 GF(7)：');
+    
+    const matrixOps = new MatrixOperations();
+    matrixOps.setField({ type: 'mod', p: 7 });
+    const A = [[1, 2, 3], [4, 5, 6], [7, 8, 10]];
+    const inverse = matrixOps.calculateInverse(A).inverse;
+    const identity = matrixOps.multiplyMatrices(A, inverse).result;
+    console.log('   A⁻¹ (mod 7) =', JSON.stringify(inverse));
+    if (JSON.stringify(identity) !== JSON.stringify([['1', '0', '0'], ['0', '1', '0'], ['0', '0', '1']])) {
+        throw new Error('GF(7) 上的逆矩阵计算错误');
+    }
+    
+    const solution = matrixOps.solveEquations([[1, 1], [1, 6]], [3, '1/2']).solution;
+    console.log('   x + y = 3, x + 6y = 1/2 (mod 7) 的解:', JSON.stringify(solution));
+    // 1/2 ≡ 4 (mod 7)：5y ≡ 1 得 y = 3，x = 0
+    if (JSON.stringify(solution) !== JSON.stringify(['0', '3'])) {
+        throw new Error('GF(7) 上的方程组求解错误');
+    }
+    
+    // 有限域上没有内积与范数，施密特正交化和模长应直接拒绝
+    for (const [name, run] of [
+        ['施密特正交化', () => matrixOps.schmidtOrthonormalization([[1, 2], [2, 4]])],
+        ['向量模长', () => matrixOps.vectorNorm([1, 2])]
+    ]) {
+        let normError = '';
+        try {
+            run();
+        } catch (error) {
+            normError = error.message;
+        }
+        if (!normError.includes('有限域')) {
+            throw new Error(`GF(7) 上的${name}未被拒绝`);
+        }
+    }
+    
+    matrixOps.setField({ type: 'mod', p: 6 });
+    try {
+        matrixOps.calculateInverse([[1, 0], [0, 1]]);
+        throw new Error('非素数模数未被拒绝');
+    } catch (error) {
+        console.log(`   模6求逆: ${error.message}`);
+        if (!error.message.includes('不是素数')) {
+            throw error;
+        }
+    }
+    
+    // 行列式的消元同样需要除法，应给出同样的说明而不是“不可逆”
+    let determinantError = '';
+    try {
+        matrixOps.calculateDeterminant([[2, 1], [1, 1]]);
+    } catch (error) {
+        determinantError = error.message;
+    }
+    if (!determinantError.includes('不是素数')) {
+        throw new Error('模6求行列式未给出数域说明：' + determinantError);
+    }
+    
+    // 所有基于消元的入口都要先检查模数
+    for (const [name, run] of [
+        ['行阶梯形', () => matrixOps.reduceToRowEchelon([[2, 1], [1, 1]])],
+        ['求秩', () => matrixOps.calculateRank([[2, 1], [0, 1]])],
+        ['解方程', () => matrixOps.solveEquations([[2, 1], [1, 1]], [1, 1])],
+        ['零空间', () => matrixOps.fundamentalSubspaces([[2, 4], [1, 2]])],
+        ['线性相关性', () => matrixOps.analyzeVectors([[2, 1], [1, 1]])]
+    ]) {
+        let fieldError = '';
+        try {
+            run();
+        } catch (error) {
+            fieldError = error.message;
+        }
+        if (!fieldError.includes('不是素数')) {
+            throw new Error(`模6${name}未给出数域说明：${fieldError}`);
+        }
+    }
+    
+    console.log('   ✅ 有限域测试通过\n');
+}
+
+// 测试特征多项式（Berkowitz算法与主子式法结果一致）
+function testCharacteristicPolynomial() {
+    console.log('1.5 测试特征多项式：');
+    
+    const matrixOps = new MatrixOperations();
+    const A = [[2, -1, 0, 3], [1, 0, 4, '1/2'], [5, 6, -2, 1], [0, 1, 1, 1]];
+    const result = matrixOps.calculateCharacteristicPolynomial(A, { explainMinors: true });
+    console.log('   S0…S4 =', JSON.stringify(result.coefficients));
+    console.log('   ' + result.polynomialLatex);
+    
+    const processed = A.map(row => row.map(value => matrixOps.convertToAppropriateType(value)));
+    const minors = [0, 1, 2, 3, 4].map(k =>
+        matrixOps.formatNumber(matrixOps.calculatePrincipalMinorsSum(processed, k), 'rational'));
+    if (JSON.stringify(minors) !== JSON.stringify(result.coefficients)) {
+        throw new Error('Berkowitz算法结果与主子式之和不一致');
+    }
+    
+    console.log('   ✅ 特征多项式测试通过\n');
+}
+
+// 测试特征值
+function testEigenvalues() {
+    console.log('1.6 测试特征值：');
+    
+    const matrixOps = new MatrixOperations();
+    const describe = result => result.eigenvalues
+        .map(e => `${e.value}${e.multiplicity > 1 ? `(×${e.multiplicity})` : ''}${e.exact ? '' : '≈'}`).join(', ');
+    
+    const repeated = matrixOps.calculateEigenvalues([[2, 1, 0], [0, 2, 0], [0, 0, 3]]);
+    console.log('   [[2,1,0],[0,2,0],[0,0,3]]:', describe(repeated));
+    if (describe(repeated) !== '2(×2), 3') {
+        throw new Error('有理特征值或代数重数错误');
+    }
+    
+    const surd = matrixOps.calculateEigenvalues([[1, 2], [3, 4]]);
+    console.log('   [[1,2],[3,4]]:', describe(surd));
+    if (describe(surd) !== '5/2 - √33/2, 5/2 + √33/2') {
+        throw new Error('二次因式的根式特征值错误');
+    }
+    
+    const rotation = matrixOps.calculateEigenvalues([[0, -1], [1, 0]]);
+    console.log('   [[0,-1],[1,0]]:', describe(rotation));
+    if (describe(rotation) !== '-i, i') {
+        throw new Error('共轭复特征值错误');
+    }
+    
+    // 复数矩阵：高斯有理特征值经代入检验后精确给出，其余的仍为数值近似
+    const gaussian = matrixOps.calculateEigenvalues([['i', 0], [0, 1]]);
+    const jordan = matrixOps.calculateEigenvalues([['1+i', 1, 0], [0, '1+i', 0], [0, 0, '1/2-i']]);
+    const mixed = matrixOps.calculateEigenvalues([['i', 1], [1, 0]]);
+    console.log('   [[i,0],[0,1]]:', describe(gaussian), ' 复 Jordan 块:', describe(jordan), ' [[i,1],[1,0]]:', describe(mixed));
+    if (describe(gaussian) !== 'i, 1' || describe(jordan) !== '1/2-i, 1+i(×2)' || mixed.eigenvalues.some(e => e.exact)) {
+        throw new Error('复数矩阵的精确特征值错误');
+    }
+    
+    const cubic = matrixOps.calculateEigenvalues([[0, 0, 2], [1, 0, 0], [0, 1, 0]]);
+    console.log('   λ³ = 2:', describe(cubic));
+    if (cubic.allExact || cubic.eigenvalues.some(e =>
+        Math.abs(Math.hypot(e.approximation.real, e.approximation.imaginary) - Math.cbrt(2)) > 1e-9)) {
+        throw new Error('数值特征值错误');
+    }
+    
+    console.log('   ✅ 特征值测试通过\n');
+}
+
+// 测试特征向量（几何重数与特征子空间）
+function testEigenvectors() {
+    console.log('1.7 测试特征向量：');
+    
+    const matrixOps = new MatrixOperations();
+    const A = [[2, 1, 0], [0, 2, 0], [0, 0, 3]];
+    const result = matrixOps.calculateEigenvectors(A);
+    result.eigenspaces.forEach(space => {
+        console.log(`   λ = ${space.eigenvalue}：代数重数 ${space.algebraicMultiplicity}，几何重数 ${space.geometricMultiplicity}，` +
+            JSON.stringify(space.eigenvectors));
+    });
+    const [two, three] = result.eigenspaces;
+    if (two.geometricMultiplicity !== 1 || three.geometricMultiplicity !== 1 ||
+        JSON.stringify(two.eigenvectors) !== '[["1","0","0"]]' || JSON.stringify(three.eigenvectors) !== '[["0","0","1"]]') {
+        throw new Error('特征子空间计算错误');
+    }
+    
+    // 根式特征值的特征向量满足 Av = λv
+    const B = [[1, 2], [3, 4]];
+    const processed = B.map(row => row.map(value => matrixOps.convertToExactType(value)));
+    const roots = matrixOps.findEigenvalues(matrixOps.berkowitz(processed), []);
+    for (const space of matrixOps.computeEigenspaces(processed, roots, [])) {
+        const v = space.basis[0];
+        const Av = processed.map(row => row.reduce((sum, value, j) =>
+            matrixOps.addValues(sum, matrixOps.multiplyValues(value, v[j])), 0));
+        if (Av.some((value, i) => !matrixOps.isZero(matrixOps.subtractValues(value, matrixOps.multiplyValues(space.eigenvalue, v[i]))))) {
+            throw new Error('根式特征向量不满足 Av = λv');
+        }
+    }
+    console.log('   [[1,2],[3,4]] 的根式特征向量满足 Av = λv');
+    
+    console.log('   ✅ 特征向量测试通过\n');
+}
+
+// 测试矩阵对角化
+function testDiagonalize() {
+    console.log('1.8 测试矩阵对角化：');
+    
+    const matrixOps = new MatrixOperations();
+    const result = matrixOps.diagonalize([[4, 1], [2, 3]]);
+    console.log('   P =', JSON.stringify(result.P), 'D =', JSON.stringify(result.D), 'P⁻¹ =', JSON.stringify(result.inverseP));
+    if (!result.diagonalizable || !result.verified ||
+        JSON.stringify(result.D) !== '[["2","0"],["0","5"]]' || JSON.stringify(result.verification) !== '[["4","1"],["2","3"]]') {
+        throw new Error('可对角化矩阵的 P、D 计算错误');
+    }
+    
+    const defective = matrixOps.diagonalize([[2, 1, 0], [0, 2, 0], [0, 0, 3]]);
+    console.log('   ' + defective.reason);
+    if (defective.diagonalizable || !defective.reason.includes('λ = 2')) {
+        throw new Error('未能指出亏损特征值');
+    }
+    
+    const rotation = matrixOps.diagonalize([[0, -1], [1, 0]]);
+    console.log('   ' + rotation.reason);
+    if (!rotation.verified) {
+        throw new Error('复数域上的对角化验证失败');
+    }
+    
+    console.log('   ✅ 矩阵对角化测试通过\n');
+}
+
+// 测试若尔当标准形
+function testJordanForm() {
+    console.log('1.9 测试若尔当标准形：');
+    
+    const matrixOps = new MatrixOperations();
+    const A = [[5, 4, 2, 1], [0, 1, -1, -1], [-1, -1, 3, 0], [1, 1, -1, 2]];
+    const result = matrixOps.jordanForm(A);
+    console.log('   J =', JSON.stringify(result.J));
+    console.log('   P =', JSON.stringify(result.P));
+    if (!result.verified || JSON.stringify(result.blocks.map(b => `${b.eigenvalue}:${b.size}`)) !== '["1:1","2:1","4:2"]') {
+        throw new Error('若尔当标准形计算错误');
+    }
+    
+    // 同一特征值的多个若尔当块（块大小 3 和 2）
+    const nilpotent = matrixOps.jordanForm([
+        [2, 0, 0, 0, 0], [1, 2, 0, 0, 0], [0, 0, 2, 0, 0], [0, 0, 1, 2, 0], [0, 0, 0, 1, 2]
+    ]);
+    console.log('   块大小：', nilpotent.blocks.map(b => b.size).join('、'));
+    if (!nilpotent.verified || nilpotent.blocks.map(b => b.size).join() !== '3,2') {
+        throw new Error('若尔当块大小计算错误');
+    }
+    
+    console.log('   ✅ 若尔当标准形测试通过\n');
+}
+
+// 测试LU分解
+function testLUDecomposition() {
+    console.log('1.10 测试LU分解：');
+    
+    const matrixOps = new MatrixOperations();
+    const A = [[1, 2, 3], [4, 5, 6], [7, 8, 10]];
+    const lu = matrixOps.luDecomposition(A);
+    console.log('   P =', JSON.stringify(lu.P));
+    console.log('   L =', JSON.stringify(lu.L));
+    console.log('   U =', JSON.stringify(lu.U));
+    
+    // PA = LU
+    const PA = matrixOps.multiplyMatrices(lu.P, A).result;
+    const LU = matrixOps.multiplyMatrices(lu.L, lu.U).result;
+    if (JSON.stringify(PA) !== JSON.stringify(LU)) {
+        throw new Error('PA ≠ LU');
+    }
+    
+    // 同一个分解求解多个右端向量
+    const { solutions } = matrixOps.solveWithLU(lu, [[1, 2, 3], [6, 15, 25]]);
+    console.log('   解：', JSON.stringify(solutions));
+    if (JSON.stringify(solutions) !== '[["-1/3","2/3","0"],["1","1","1"]]') {
+        throw new Error('solveWithLU 求解错误');
+    }
+    
+    console.log('   ✅ LU分解测试通过\n');
+}
+
+// 测试QR分解（三种方法，及病态矩阵上的数值稳定性）
+function testQRDecomposition() {
+    console.log('1.11 测试QR分解：');
+    
+    const matrixOps = new MatrixOperations();
+    const A = [[1, 1, 0], [1, 0, 1], [0, 1, 1]];
+    const exact = matrixOps.qrDecomposition(A);
+    console.log('   Q =', JSON.stringify(exact.Q));
+    console.log('   R =', JSON.stringify(exact.R));
+    if (!exact.verified || exact.reconstructionError !== 0 || JSON.stringify(exact.reconstruction) !== JSON.stringify(A.map(row => row.map(String)))) {
+        throw new Error('经典施密特QR分解不精确');
+    }
+    
+    // Läuchli 矩阵：经典施密特正交化失去正交性，改进施密特和豪斯霍尔德保持稳定
+    const decimalOps = new MatrixOperations();
+    decimalOps.setFormatType('decimal');
+    const lauchli = [[1, 1, 1], ['1e-8', 0, 0], [0, '1e-8', 0], [0, 0, '1e-8']];
+    const errors = {};
+    for (const method of ['classical', 'modified', 'householder']) {
+        errors[method] = decimalOps.qrDecomposition(lauchli, { method }).orthogonalityError;
+        console.log(`   ${method}: max|QᵀQ - I| = ${errors[method].toExponential(2)}`);
+    }
+    if (!(errors.classical > 0.1 && errors.modified < 1e-6 && errors.householder < 1e-12)) {
+        throw new Error('三种QR分解方法的正交性误差不符合预期');
+    }
+    
+    console.log('   ✅ QR分解测试通过\n');
+}
+
+// 测试Cholesky与LDLᵀ分解
+function testCholeskyAndLDLT() {
+    console.log('1.12 测试Cholesky与LDLᵀ分解：');
+    
+    const matrixOps = new MatrixOperations();
+    const cholesky = matrixOps.choleskyDecomposition([[2, 1], [1, 2]]);
+    console.log('   [[2,1],[1,2]] 的 L =', JSON.stringify(cholesky.L));
+    if (!cholesky.verified || JSON.stringify(cholesky.L) !== '[["√2","0"],["√2/2","√6/2"]]') {
+        throw new Error('Cholesky分解的根式结果错误');
+    }
+    
+    const indefinite = matrixOps.choleskyDecomposition([['1/2', 1], [1, '1/2']]);
+    console.log('   ' + indefinite.reason);
+    if (indefinite.isPositiveDefinite || indefinite.failingMinor.order !== 2 || indefinite.failingMinor.value !== '-3/4') {
+        throw new Error('未能报告失败的顺序主子式');
+    }
+    
+    // LDLᵀ 不要求正定，全程精确
+    const ldlt = matrixOps.ldltDecomposition([['1/2', 1], [1, '1/2']]);
+    console.log('   LDLᵀ：L =', JSON.stringify(ldlt.L), 'D =', JSON.stringify(ldlt.D));
+    if (!ldlt.verified || JSON.stringify(ldlt.D) !== '[["1/2","0"],["0","-3/2"]]' || ldlt.inertia.negative !== 1) {
+        throw new Error('LDLᵀ分解错误');
+    }
+    
+    console.log('   ✅ Cholesky与LDLᵀ分解测试通过\n');
+}
+
+// 测试奇异值分解与广义逆
+function testSVDAndPseudoInverse() {
+    console.log('1.13 测试奇异值分解与广义逆：');
+    
+    const matrixOps = new MatrixOperations();
+    const svd = matrixOps.svd([[3, 2, 2], [2, 3, -2]]);
+    console.log('   奇异值：', svd.singularValues.join(', '), '重构误差：', svd.reconstructionError.toExponential(2));
+    if (svd.singularValues.join() !== '5,3' || svd.rank !== 2 || svd.reconstructionError > 1e-12) {
+        throw new Error('奇异值分解错误');
+    }
+    
+    const nearlySingular = [[1, 1], [1, '1.0000000001']];
+    const defaultRank = matrixOps.numericRank(nearlySingular).rank;
+    const looseRank = matrixOps.numericRank(nearlySingular, 1e-6).rank;
+    console.log(`   近似奇异矩阵的数值秩：默认阈值 ${defaultRank}，阈值 1e-6 时 ${looseRank}`);
+    if (defaultRank !== 2 || looseRank !== 1) {
+        throw new Error('数值秩计算错误');
+    }
+    
+    const pseudo = matrixOps.pseudoInverse([[1, 2], [2, 4], [3, 6]]);
+    console.log('   [[1,2],[2,4],[3,6]]⁺ =', JSON.stringify(pseudo.pseudoInverse));
+    if (!pseudo.verified || JSON.stringify(pseudo.pseudoInverse) !== '[["1/70","1/35","3/70"],["1/35","2/35","3/35"]]') {
+        throw new Error('广义逆计算错误');
+    }
+    
+    // 奇异矩阵求逆时给出广义逆
+    const singular = matrixOps.calculateInverse([[1, 2], [2, 4]]);
+    if (singular.isInvertible || JSON.stringify(singular.pseudoInverse) !== '[["1/25","2/25"],["2/25","4/25"]]') {
+        throw new Error('奇异矩阵未给出广义逆');
+    }
+    
+    console.log('   ✅ 奇异值分解与广义逆测试通过\n');
+}
+
+function testSmithHermite() {
+    console.log('1.14 测试史密斯标准形与埃尔米特标准形：');
+    
+    const matrixOps = new MatrixOperations();
+    const smith = matrixOps.smithNormalForm([[2, 4, 4], [-6, 6, 12], [10, -4, -16]]);
+    console.log('   不变因子：', smith.invariantFactors.join(', '), '余核：', smith.abelianGroup);
+    if (!smith.verified || smith.invariantFactors.join() !== '2,6,12' || smith.abelianGroup !== 'ℤ/2 ⊕ ℤ/6 ⊕ ℤ/12') {
+        throw new Error('史密斯标准形计算错误');
+    }
+    
+    // 对角元 2、3 需要调整为 1、6 才满足整除条件
+    if (JSON.stringify(matrixOps.smithNormalForm([[2, 0], [0, 3]]).S) !== '[["1","0"],["0","6"]]') {
+        throw new Error('史密斯标准形整除条件错误');
+    }
+    
+    const hermite = matrixOps.hermiteNormalForm([[2, 3, 6, 2], [5, 6, 1, 6], [8, 3, 1, 1]]);
+    console.log('   H =', JSON.stringify(hermite.H));
+    if (!hermite.verified || JSON.stringify(hermite.H) !== '[["1","0","50","-11"],["0","3","28","-2"],["0","0","61","-13"]]') {
+        throw new Error('埃尔米特标准形计算错误');
+    }
+    
+    let rejected = false;
+    try {
+        matrixOps.smithNormalForm([[1, '1/2']]);
+    } catch (error) {
+        rejected = error.message.includes('整数');
+    }
+    if (!rejected) {
+        throw new Error('含分数的矩阵应当被拒绝');
+    }
+    
+    console.log('   ✅ 史密斯标准形与埃尔米特标准形测试通过\n');
+}
+
+function testLeastSquares() {
+    console.log('1.15 测试最小二乘解：');
+    
+    const matrixOps = new MatrixOperations();
+    // 拟合直线 y = c0 + c1·t 经过 (0, 6), (1, 0), (2, 0)
+    const A = [[1, 0], [1, 1], [1, 2]];
+    const b = [6, 0, 0];
+    const result = matrixOps.solveEquations(A, b, { leastSquares: true });
+    const exact = result.leastSquares;
+    console.log('   x =', exact.solution.join(', '), '残差：', exact.residual.join(', '), '‖r‖ =', exact.residualNorm);
+    if (result.type !== 'inconsistent' || exact.solution.join() !== '5,-3' ||
+        exact.residual.join() !== '1,-2,1' || exact.residualNorm !== '√6') {
+        throw new Error('法方程最小二乘解错误');
+    }
+    
+    const qr = matrixOps.solveLeastSquares(A, b, { method: 'qr' });
+    if (qr.method !== 'qr' || Math.abs(parseFloat(qr.solution[0]) - 5) > 1e-9 || Math.abs(parseFloat(qr.solution[1]) + 3) > 1e-9) {
+        throw new Error('QR最小二乘解错误');
+    }
+    
+    // 列不满秩时取最小范数解
+    const deficient = matrixOps.solveLeastSquares([[1, 1], [1, 1], [1, 1]], [1, 2, 4]);
+    console.log('   列不满秩时的最小范数解：', deficient.solution.join(', '));
+    if (!deficient.minimumNorm || deficient.solution.join() !== '7/6,7/6' || deficient.residualNorm !== '√42/3') {
+        throw new Error('最小范数最小二乘解错误');
+    }
+    
+    // 请求QR但 A 列不满秩时改用广义逆，并在步骤与 fallbackReason 中说明
+    const fallback = matrixOps.solveLeastSquares([[1, 1], [1, 1], [1, 1]], [1, 2, 4], { method: 'qr' });
+    console.log('   ' + fallback.fallbackReason);
+    if (fallback.method !== 'normal' || !fallback.fallbackReason.includes('列不满秩') ||
+        !fallback.steps.some(step => step.description.startsWith('放弃QR方法')) || qr.fallbackReason !== null) {
+        throw new Error('放弃QR方法的原因未说明');
+    }
+    
+    console.log('   ✅ 最小二乘解测试通过\n');
+}
+
+function testCramer() {
+    console.log('1.16 测试克拉默法则：');
+    
+    const matrixOps = new MatrixOperations();
+    const result = matrixOps.solveByCramer([[2, 1, -1], [-3, -1, 2], [-2, 1, 2]], [8, -11, -3]);
+    console.log('   det(A) =', result.determinant, ' det(Ai) =', result.determinants.join(', '), ' x =', result.solution.join(', '));
+    if (!result.applicable || result.determinant !== '-1' || result.determinants.join() !== '-2,-3,1' ||
+        result.solution.join() !== '2,3,-1') {
+        throw new Error('克拉默法则求解错误');
+    }
+    
+    // det(A) = 0 时改用消元法说明解的情况
+    const singular = matrixOps.solveByCramer([[1, 2], [2, 4]], [1, 3]);
+    console.log('   ' + singular.reason);
+    if (singular.applicable || singular.solution !== null || singular.fallback.type !== 'inconsistent') {
+        throw new Error('克拉默法则未正确处理奇异系数矩阵');
+    }
+    
+    console.log('   ✅ 克拉默法则测试通过\n');
+}
+
+function testIterativeSolvers() {
+    console.log('1.17 测试迭代法解线性方程组：');
+    
+    const matrixOps = new MatrixOperations();
+    const A = [[4, -1, 0], [-1, 4, -1], [0, -1, 4]];
+    const b = [2, 4, 10];
+    for (const method of ['jacobi', 'gauss-seidel', 'sor', 'cg']) {
+        const result = matrixOps.solveIteratively(A, b, { method, tolerance: 1e-12 });
+        console.log(`   ${method}：${result.iterations} 次迭代，x =`, result.solution.join(', '));
+        const error = result.solution.reduce((max, value, i) => Math.max(max, Math.abs(parseFloat(value) - (i + 1))), 0);
+        if (!result.converged || error > 1e-9 || result.residualNorms.length !== result.iterations + 1) {
+            throw new Error(`${method} 迭代求解错误`);
+        }
+    }
+    
+    // 高斯–赛德尔的谱半径是雅可比的平方
+    const jacobi = matrixOps.solveIteratively(A, b, { maxIterations: 3, initialGuess: ['1/2', 1, 2] });
+    const gaussSeidel = matrixOps.solveIteratively(A, b, { method: 'gauss-seidel', maxIterations: 1 });
+    if (!jacobi.diagonallyDominant || jacobi.history[1].x.join() !== '0.75,1.625,2.75' ||
+        Math.abs(gaussSeidel.spectralRadius - jacobi.spectralRadius ** 2) > 1e-9) {
+        throw new Error('迭代表或谱半径错误');
+    }
+    
+    const divergent = matrixOps.solveIteratively([[1, 2], [3, 1]], [1, 1], { maxIterations: 10 });
+    console.log('   ' + divergent.verdict);
+    if (divergent.converged || divergent.spectralRadius < 1) {
+        throw new Error('未识别出发散的迭代');
+    }
+    
+    // 'conjugate-gradient' 是 'cg' 的别名；非法的阈值与迭代次数直接报错，而不是空跑到迭代上限
+    const alias = matrixOps.solveIteratively(A, b, { method: 'conjugate-gradient' });
+    if (!alias.converged || alias.iterations > 3) {
+        throw new Error('共轭梯度法别名未生效');
+    }
+    for (const options of [{ tolerance: 'abc' }, { tolerance: 0 }, { maxIterations: -1 }, { maxIterations: 2.5 }]) {
+        let rejected = false;
+        try {
+            matrixOps.solveIteratively(A, b, options);
+        } catch (error) {
+            rejected = true;
+        }
+        if (!rejected) {
+            throw new Error(`非法迭代参数未被拒绝：${JSON.stringify(options)}`);
+        }
+    }
+    
+    console.log('   ✅ 迭代法测试通过\n');
+}
+
+function testMatrixEquation() {
+    console.log('1.18 测试矩阵方程：');
+    
+    const matrixOps = new MatrixOperations();
+    const left = matrixOps.solveMatrixEquation([[1, 2], [3, 4]], [[5, 6], [7, 8]]);
+    const right = matrixOps.solveMatrixEquation([[1, 2], [3, 4]], [[5, 6], [7, 8]], { side: 'right' });
+    console.log('   AX = B：X =', JSON.stringify(left.X), ' XA = B：X =', JSON.stringify(right.X));
+    if (left.type !== 'unique' || JSON.stringify(left.X) !== '[["-3","-4"],["4","5"]]' ||
+        JSON.stringify(right.X) !== '[["-1","2"],["-2","3"]]') {
+        throw new Error('矩阵方程唯一解错误');
+    }
+    
+    // 逐列判断是否有解
+    const inconsistent = matrixOps.solveMatrixEquation([[1, 1], [2, 2]], [[1, 2], [2, 5]]);
+    if (inconsistent.type !== 'inconsistent' || inconsistent.columnConsistency.map(c => c.consistent).join() !== 'true,false') {
+        throw new Error('矩阵方程无解判断错误');
+    }
+    
+    const infinite = matrixOps.solveMatrixEquation([[1, 1], [2, 2]], [[1, 2], [2, 4]]);
+    console.log('   无穷多解：X₀ =', JSON.stringify(infinite.X), '，' + infinite.generalSolution);
+    if (infinite.type !== 'infinite' || JSON.stringify(infinite.X) !== '[["1","2"],["0","0"]]' ||
+        JSON.stringify(infinite.nullSpaceBasis) !== '[["-1","1"]]') {
+        throw new Error('矩阵方程通解错误');
+    }
+    
+    console.log('   ✅ 矩阵方程测试通过\n');
+}
+
+function testLinearRelation() {
+    console.log('1.19 测试向量组的线性表示：');
+    
+    const matrixOps = new MatrixOperations();
+    const result = matrixOps.analyzeVectors([[1, 0, 1], [0, 1, 1], [2, -1, 1], ['1/2', 0, '1/2']]);
+    result.relations.forEach(relation => console.log('   ' + relation.latex));
+    console.log('   ' + result.dependenceLatex);
+    if (result.pivotColumns.join() !== '0,1' ||
+        result.relations.map(relation => relation.latex).join('; ') !==
+            '\\alpha_{3} = 2\\alpha_{1} - \\alpha_{2}; \\alpha_{4} = \\frac{1}{2}\\alpha_{1}' ||
+        JSON.stringify(result.relation) !== '[["2","-1","0","0"],["1/2","0","0","0"]]') {
+        throw new Error('线性表示计算错误');
+    }
+    if (result.dependence.join() !== '2,-1,-1,0' || result.dependenceLatex !== '2\\alpha_{1} - \\alpha_{2} - \\alpha_{3} = 0') {
+        throw new Error('线性相关等式错误');
+    }
+    
+    const independent = matrixOps.analyzeVectors([[1, 2], [3, 4]]);
+    if (independent.relations.length !== 0 || independent.dependenceLatex !== null) {
+        throw new Error('线性无关向量组不应有线性关系');
+    }
+    
+    console.log('   ✅ 向量组的线性表示测试通过\n');
+}
+
+function testFundamentalSubspaces() {
+    console.log('1.20 测试四个基本子空间：');
+    
+    const matrixOps = new MatrixOperations();
+    const result = matrixOps.fundamentalSubspaces([[1, 2, 3], [2, 4, 6], [1, 0, 1]]);
+    console.log('   dim C(A), C(Aᵀ), N(A), N(Aᵀ) =', [result.columnSpace, result.rowSpace, result.nullSpace, result.leftNullSpace]
+        .map(space => space.dimension).join(', '));
+    console.log('   N(A) 的基：', JSON.stringify(result.nullSpace.basis), ' N(Aᵀ) 的基：', JSON.stringify(result.leftNullSpace.basis));
+    if (!result.rankNullity || result.rank !== 2 ||
+        JSON.stringify(result.columnSpace.basis) !== '[["1","2","1"],["2","4","0"]]' ||
+        JSON.stringify(result.rowSpace.basis) !== '[["1","0","1"],["0","1","1"]]' ||
+        JSON.stringify(result.nullSpace.basis) !== '[["-1","-1","1"]]' ||
+        JSON.stringify(result.leftNullSpace.basis) !== '[["-2","1","0"]]') {
+        throw new Error('四个基本子空间计算错误');
+    }
+    
+    // 复矩阵使用 Aᴴ：N(A) ⊥ C(Aᴴ)，N(Aᴴ) ⊥ C(A)（Hermite 内积）
+    const complex = matrixOps.fundamentalSubspaces([['1', 'i'], ['i', '-1'], ['2', '2i']]);
+    const raw = space => space.basis.map(vector => vector.map(value => matrixOps.convertToAppropriateType(value)));
+    const orthogonal = (U, W) => raw(U).every(u => raw(W).every(w => matrixOps.isZero(matrixOps.innerProduct(u, w))));
+    console.log('   复矩阵 N(Aᴴ) 的基：', JSON.stringify(complex.leftNullSpace.basis));
+    if (complex.adjoint !== 'ᴴ' || !complex.rankNullity || complex.rank !== 1 ||
+        !orthogonal(complex.nullSpace, complex.rowSpace) || !orthogonal(complex.leftNullSpace, complex.columnSpace) ||
+        !complex.steps.some(step => step.description.startsWith('左零空间 N(Aᴴ)'))) {
+        throw new Error('复矩阵的基本子空间未使用共轭转置');
+    }
+    
+    console.log('   ✅ 四个基本子空间测试通过\n');
+}
+
+function testSubspaceSumAndIntersection() {
+    console.log('1.21 测试子空间的和与交：');
+    
+    const matrixOps = new MatrixOperations();
+    const result = matrixOps.subspaceSumAndIntersection([[1, 2, 1], [1, 0, -1], [2, 2, 0]], [[2, 2, 0], [0, 1, 3]]);
+    console.log(`   dim U = ${result.U.dimension}，dim W = ${result.W.dimension}，` +
+        `dim(U+W) = ${result.sum.dimension}，dim(U∩W) = ${result.intersection.dimension}`);
+    console.log('   U∩W 的基：', JSON.stringify(result.intersection.basis));
+    if (!result.dimensionFormula || result.U.dimension !== 2 || result.sum.dimension !== 3 ||
+        JSON.stringify(result.intersection.basis) !== '[["2","2","0"]]') {
+        throw new Error('子空间的和与交计算错误');
+    }
+    
+    // 零子空间与任何子空间的交为零
+    const trivial = matrixOps.subspaceSumAndIntersection([[0, 0]], [[1, 1]]);
+    if (trivial.intersection.dimension !== 0 || trivial.sum.dimension !== 1) {
+        throw new Error('零子空间的和与交计算错误');
+    }
+    
+    console.log('   ✅ 子空间的和与交测试通过\n');
+}
+
+function testChangeOfBasis() {
+    console.log('1.22 测试坐标与过渡矩阵：');
+    
+    const matrixOps = new MatrixOperations();
+    const alpha = [[1, 1, 0], [0, 1, 1], [1, 0, 1]];
+    const beta = [[1, 0, 0], [1, 1, 0], [1, 1, 1]];
+    const result = matrixOps.changeOfBasisMatrix(alpha, beta);
+    console.log('   P =', JSON.stringify(result.transitionMatrix), ' P⁻¹ =', JSON.stringify(result.inverseTransitionMatrix));
+    if (JSON.stringify(result.transitionMatrix) !== '[["1/2","1","1/2"],["-1/2","0","1/2"],["1/2","0","1/2"]]' ||
+        JSON.stringify(result.inverseTransitionMatrix) !== '[["0","-1","1"],["1","0","-1"],["0","1","1"]]') {
+        throw new Error('过渡矩阵计算错误');
+    }
+    
+    // 坐标变换 x_α = P·x_β
+    const v = [2, 3, 1];
+    const xAlpha = matrixOps.coordinatesInBasis(v, alpha).coordinates;
+    const xBeta = matrixOps.coordinatesInBasis(v, beta).coordinates;
+    const converted = matrixOps.multiplyMatrices(result.transitionMatrix, xBeta.map(value => [value])).result.map(row => row[0]);
+    console.log('   x_α =', xAlpha.join(', '), ' x_β =', xBeta.join(', '));
+    if (xBeta.join() !== '-1,2,1' || converted.join() !== xAlpha.join()) {
+        throw new Error('坐标计算错误');
+    }
+    
+    let rejected = false;
+    try {
+        matrixOps.coordinatesInBasis([1, 2], [[1, 1], [2, 2]]);
+    } catch (error) {
+        rejected = error.message.includes('不能构成一组基');
+    }
+    if (!rejected) {
+        throw new Error('线性相关的向量组应当被拒绝');
+    }
+    
+    console.log('   ✅ 坐标与过渡矩阵测试通过\n');
+}
+
+function testOrthogonalProjection() {
+    console.log('1.23 测试正交补、投影矩阵与正交分解：');
+    
+    const matrixOps = new MatrixOperations();
+    const complement = matrixOps.orthogonalComplement([[1, 1, 0], [2, 2, 0]]);
+    console.log('   W⊥ 的基：', JSON.stringify(complement.basis), ' 单位正交基：', JSON.stringify(complement.orthonormalBasis));
+    if (complement.dimension !== 2 || JSON.stringify(complement.basis) !== '[["-1","1","0"],["0","0","1"]]' ||
+        JSON.stringify(complement.orthonormalBasis) !== '[["-√2/2","√2/2","0"],["0","0","1"]]') {
+        throw new Error('正交补计算错误');
+    }
+    
+    // 生成向量线性相关时取极大无关组
+    const projection = matrixOps.projectionMatrix([[1, 0, 1], [1, 1, 0], [2, 1, 1]]);
+    console.log('   P =', JSON.stringify(projection.projectionMatrix));
+    if (!projection.verified || projection.rank !== 2 ||
+        JSON.stringify(projection.projectionMatrix) !== '[["2/3","1/3","1/3"],["1/3","2/3","-1/3"],["1/3","-1/3","2/3"]]') {
+        throw new Error('投影矩阵计算错误');
+    }
+    
+    const decomposition = matrixOps.orthogonalDecomposition([1, 2, 3], [[1, 0, 1], [1, 1, 0]]);
+    console.log('   proj =', decomposition.projection.join(', '), ' perp =', decomposition.perpendicular.join(', '), ' 距离 =', decomposition.distance);
+    if (!decomposition.verified || decomposition.projection.join() !== '7/3,2/3,5/3' ||
+        decomposition.perpendicular.join() !== '-4/3,4/3,4/3' || decomposition.distance !== '4√3/3') {
+        throw new Error('正交分解计算错误');
+    }
+    
+    // 复向量的投影矩阵用共轭转置，步骤中也应写作 Aᴴ
+    const complexProjection = matrixOps.projectionMatrix([[1, 'i']]);
+    if (!complexProjection.verified || !complexProjection.steps.some(step => step.description === 'P = A(AᴴA)⁻¹Aᴴ') ||
+        !complement.steps[complement.steps.length - 1].description.endsWith('等于空间维数 3')) {
+        throw new Error('投影矩阵步骤说明错误');
+    }
+    
+    console.log('   ✅ 正交补、投影矩阵与正交分解测试通过\n');
+}
+
 // 测试MatrixOperations基础功能
 function testMatrixBasics() {
     console.log('2. 测试矩阵基础功能：');
@@ -88,6 +873,29 @@ function testFormatting() {
 // 运行所有测试
 try {
     testFraction();
+    testBigFraction();
+    testSurd();
+    testComplex();
+    testFiniteField();
+    testCharacteristicPolynomial();
+    testEigenvalues();
+    testEigenvectors();
+    testDiagonalize();
+    testJordanForm();
+    testLUDecomposition();
+    testQRDecomposition();
+    testCholeskyAndLDLT();
+    testSVDAndPseudoInverse();
+    testSmithHermite();
+    testLeastSquares();
+    testCramer();
+    testIterativeSolvers();
+    testMatrixEquation();
+    testLinearRelation();
+    testFundamentalSubspaces();
+    testSubspaceSumAndIntersection();
+    testChangeOfBasis();
+    testOrthogonalProjection();
     testMatrixBasics();
     testFormatting();
     console.log('🎉 所有测试通过！高级代数计算器功能正常。');
@@ -34,4 +34,38 @@ console.log('除法测试: 1/2 / 1/3 =', f9.numerator, '/', f9.denominator); //
 // 测试toFloat方法
 console.log('toFloat测试: 3/2 =', f9.toFloat()); // 应该是1.5
 
+// 测试比较与一元运算
+const f10 = new Fraction(-7, 2);
+console.log('比较测试: -7/2 与 -3 比较 =', f10.compareTo(-3)); // 应该是-1
+console.log('相等测试: -7/2 等于 "-3.5" =', f10.equals('-3.5')); // 应该是true
+console.log('相反数测试: -(-7/2) =', f10.negate().toString()); // 应该是7/2
+console.log('绝对值测试: |-7/2| =', f10.abs().toString()); // 应该是7/2
+console.log('倒数测试: 1/(-7/2) =', f10.reciprocal().toString()); // 应该是-2/7
+console.log('幂测试: (-7/2)^-3 =', f10.pow(-3).toString()); // 应该是-8/343
+console.log('符号测试: sign(-7/2) =', f10.sign()); // 应该是-1
+console.log('取整测试: floor/ceil/round(-7/2) =', f10.floor().toString(), f10.ceil().toString(), f10.round().toString()); // 应该是-4 -3 -3
+console.log('最小公倍数测试: lcm(4, 6) =', Fraction.lcm(4, 6)); // 应该是12
+
+// 测试字符串解析
+const parseCases = [
+    ['0.25', '1/4'],
+    ['1 1/2', '3/2'],
+    ['-3/-4', '3/4'],
+    ['2.5e-3', '1/400'],
+    ['+7', '7'],
+    ['0.(3)', '1/3'],
+    ['-1 1/2', '-3/2']
+];
+for (const [input, expected] of parseCases) {
+    const parsed = new Fraction(input).toString();
+    console.log(`解析测试: "${input}" =`, parsed, parsed === expected ? '✓' : `✗ (应该是${expected})`);
+}
+
+try {
+    new Fraction('1.2.3');
+    console.log('非法输入测试: 未抛出异常 ✗');
+} catch (error) {
+    console.log('非法输入测试:', error.message);
+}
+
 console.log('所有Fraction类测试结束。');
\ No newline at end of file